@@ -0,0 +1,110 @@
+/**
+ * JARVIS AR - Asset Manifest
+ * Where three.js, the MediaPipe runtime and the tracking models load from
+ *
+ * A classic script, shared by index.html (which builds the import map from
+ * it) and sw.js (which precaches it), exposed as self.JARVIS_ASSETS.
+ *
+ * 'cdn' loads everything from unpkg, jsDelivr and Google storage.
+ * 'vendor' serves the same files from vendor/, filled by
+ * tools/vendor-assets.sh, so the app runs with no network at all.
+ * Start with ?assets=vendor (remembered) or ?assets=cdn to switch.
+ */
+
+(function () {
+    const STORAGE_KEY = 'jarvis.assets';
+    const THREE_VERSION = '0.160.0';
+    const TASKS_VISION_VERSION = '0.10.14';
+
+    const SOURCES = {
+        cdn: {
+            three: `https://unpkg.com/three@${THREE_VERSION}/build/three.module.js`,
+            tasksVision: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}/vision_bundle.mjs`,
+            tasksWasm: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}/wasm`,
+            faceModel: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+            handModel: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+            gestureModel: 'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+        },
+        vendor: {
+            three: 'vendor/three/three.module.js',
+            tasksVision: 'vendor/tasks-vision/vision_bundle.mjs',
+            tasksWasm: 'vendor/tasks-vision/wasm',
+            faceModel: 'vendor/models/face_landmarker.task',
+            handModel: 'vendor/models/hand_landmarker.task',
+            gestureModel: 'vendor/models/gesture_recognizer.task'
+        }
+    };
+
+    // FilesetResolver picks one of these pairs depending on WASM SIMD support
+    const WASM_FILES = [
+        'vision_wasm_internal.js',
+        'vision_wasm_internal.wasm',
+        'vision_wasm_nosimd_internal.js',
+        'vision_wasm_nosimd_internal.wasm'
+    ];
+
+    /**
+     * Pick the asset mode
+     * Pages read the URL, then the remembered choice; sw.js is registered
+     * with the mode in its own URL
+     * @returns {'cdn'|'vendor'}
+     */
+    function loadMode() {
+        const param = new URLSearchParams(self.location.search).get('assets');
+        if (SOURCES[param]) {
+            remember(param);
+            return param;
+        }
+
+        try {
+            const stored = self.localStorage && self.localStorage.getItem(STORAGE_KEY);
+            return SOURCES[stored] ? stored : 'cdn';
+        } catch (error) {
+            return 'cdn';
+        }
+    }
+
+    /**
+     * Remember the asset mode for later visits and the installed app
+     * @param {string} mode
+     */
+    function remember(mode) {
+        try {
+            if (self.localStorage) self.localStorage.setItem(STORAGE_KEY, mode);
+        } catch (error) {
+            console.warn('[JARVIS] Could not save asset mode:', error);
+        }
+    }
+
+    const mode = loadMode();
+
+    // Absolute URLs, so module workers under js/ resolve them the same way
+    const urls = {};
+    Object.entries(SOURCES[mode]).forEach(([name, path]) => {
+        urls[name] = new URL(path, self.location.href).href;
+    });
+
+    self.JARVIS_ASSETS = {
+        mode,
+        urls,
+        // Every file the runtime fetches, for precaching
+        files: [
+            urls.three,
+            urls.tasksVision,
+            ...WASM_FILES.map(file => `${urls.tasksWasm}/${file}`),
+            urls.faceModel,
+            urls.handModel,
+            urls.gestureModel
+        ]
+    };
+
+    // Module scripts resolve 'three' through this map; it must exist before any of them load
+    if (self.document) {
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify({
+            imports: { three: urls.three }
+        });
+        document.currentScript.after(importMap);
+    }
+})();
@@ -0,0 +1,401 @@
+/**
+ * JARVIS AR - Gesture Bindings Module
+ * Declarative gesture-to-action table, persisted to localStorage
+ *
+ * Bindings JSON:
+ *   { "gestures": { "pinch": "zoom", "fist": "converge", ... },
+ *     "grab": { "fist": "spin", "pinch": "spin" }, "swapHands": false, "twoHands": "dual" }
+ * grab binds actions that run alongside a fist's or pinch's bound action and
+ * act only when the gesture starts over the globe; bindings without a grab
+ * table get the default one. twoHands picks what showing both hands does:
+ * "dual" spawns two Earths, "grab" lets a two-hand pinch move, turn and
+ * scale the globe.
+ * Load a preset with ?bindings=presets/presenter.json or import it from the settings panel.
+ */
+
+import { on } from './gestures.js';
+import { createSettingsRow, createSettingsButton } from './settings.js';
+
+export const BOUND_GESTURES = ['fist', 'open', 'pinch', 'wave', 'clasp'];
+export const GRAB_GESTURES = ['fist', 'pinch'];
+
+export const TWO_HAND_MODES = {
+    dual: 'Dual Earths',
+    grab: 'Grab & manipulate'
+};
+
+export const DEFAULT_BINDINGS = {
+    gestures: {
+        fist: 'converge',
+        open: 'disperse',
+        pinch: 'zoom',
+        wave: 'rotate',
+        clasp: 'merge'
+    },
+    grab: {
+        fist: 'spin',
+        pinch: 'spin'
+    },
+    swapHands: false,
+    twoHands: 'dual'
+};
+
+const STORAGE_KEY = 'jarvis.gestureBindings';
+const NO_ACTION = 'none';
+
+// Registered actions keyed by name: {label, start, active, end}
+const actions = new Map();
+let bindings = normalizeBindings(DEFAULT_BINDINGS);
+let settingsContainer = null;
+
+/**
+ * Register an action that gestures can be bound to
+ * Handlers receive the gesture event; start and end fire once, active fires
+ * every frame the gesture is held (including the first). Its hand is the
+ * bound side, swapped with swapHands; trackedHand is the hand that made the
+ * gesture, for reading its landmarks from the event state.
+ * @param {string} name - Action identifier used in bindings
+ * @param {{label: string, start?: Function, active?: Function, end?: Function}} action
+ */
+export function registerAction(name, action) {
+    actions.set(name, action);
+    if (settingsContainer) renderBindingsSettings(settingsContainer);
+}
+
+/**
+ * Get registered actions for display
+ * @returns {Array<{name: string, label: string}>}
+ */
+export function getActions() {
+    return [...actions.entries()].map(([name, action]) => ({ name, label: action.label || name }));
+}
+
+/**
+ * Get a copy of the current bindings
+ * @returns {{gestures: Object, grab: Object, swapHands: boolean, twoHands: string}}
+ */
+export function getBindings() {
+    return normalizeBindings(bindings);
+}
+
+/**
+ * Replace the bindings table
+ * @param {Object} next - Bindings in the JSON format above, missing gestures are unbound
+ * @param {boolean} persist - Save to localStorage
+ */
+export function setBindings(next, persist = true) {
+    bindings = normalizeBindings(next);
+    if (persist) saveBindings();
+    if (settingsContainer) renderBindingsSettings(settingsContainer);
+}
+
+/**
+ * Bind one gesture to an action
+ * @param {string} gesture - Gesture name
+ * @param {string} actionName - Action name, or 'none' to unbind
+ */
+export function setGestureBinding(gesture, actionName) {
+    setBindings({
+        ...bindings,
+        gestures: { ...bindings.gestures, [gesture]: actionName }
+    });
+}
+
+/**
+ * Bind the action a gesture runs alongside its bound one
+ * @param {string} gesture - One of GRAB_GESTURES
+ * @param {string} actionName - Action name, or 'none' to unbind
+ */
+export function setGrabBinding(gesture, actionName) {
+    setBindings({
+        ...bindings,
+        grab: { ...bindings.grab, [gesture]: actionName }
+    });
+}
+
+/**
+ * Get the HUD label of each gesture's bound action
+ * @returns {Object} Uppercase action names keyed by gesture, null when unbound
+ */
+export function getGestureLabels() {
+    const labels = {};
+    BOUND_GESTURES.forEach(gesture => {
+        const actionName = bindings.gestures[gesture];
+        labels[gesture] = actions.has(actionName) ? actionName.toUpperCase() : null;
+    });
+    return labels;
+}
+
+/**
+ * Swap left and right hands for every bound action
+ * @param {boolean} swapHands
+ */
+export function setSwapHands(swapHands) {
+    setBindings({ ...bindings, swapHands });
+}
+
+/**
+ * Choose what showing both hands does
+ * @param {'dual'|'grab'} twoHands - Key of TWO_HAND_MODES
+ */
+export function setTwoHandMode(twoHands) {
+    setBindings({ ...bindings, twoHands });
+}
+
+/**
+ * Get what showing both hands does
+ * @returns {'dual'|'grab'}
+ */
+export function getTwoHandMode() {
+    return bindings.twoHands;
+}
+
+/**
+ * Restore the default bindings
+ */
+export function resetBindings() {
+    setBindings(DEFAULT_BINDINGS);
+}
+
+/**
+ * Validate bindings from JSON or storage
+ * Unknown gestures are dropped; actions are checked when gestures fire,
+ * since modules may register them after bindings load
+ * @param {Object} source - Raw bindings
+ * @returns {{gestures: Object, grab: Object, swapHands: boolean, twoHands: string}}
+ */
+function normalizeBindings(source) {
+    const gestures = {};
+    const sourceGestures = (source && source.gestures) || {};
+
+    BOUND_GESTURES.forEach(gesture => {
+        const actionName = sourceGestures[gesture];
+        gestures[gesture] = typeof actionName === 'string' ? actionName : NO_ACTION;
+    });
+
+    // Bindings saved before the grab table existed keep the default grab
+    const grab = {};
+    const sourceGrab = (source && source.grab) || DEFAULT_BINDINGS.grab;
+
+    GRAB_GESTURES.forEach(gesture => {
+        const actionName = sourceGrab[gesture];
+        grab[gesture] = typeof actionName === 'string' ? actionName : NO_ACTION;
+    });
+
+    const twoHands = source && source.twoHands;
+
+    return {
+        gestures,
+        grab,
+        swapHands: !!(source && source.swapHands),
+        twoHands: TWO_HAND_MODES[twoHands] ? twoHands : DEFAULT_BINDINGS.twoHands
+    };
+}
+
+/**
+ * Save bindings to localStorage
+ */
+function saveBindings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn('[JARVIS] Could not save gesture bindings:', error);
+    }
+}
+
+/**
+ * Read bindings saved in localStorage
+ * @returns {Object|null}
+ */
+function loadStoredBindings() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn('[JARVIS] Ignoring unreadable gesture bindings:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch a bindings JSON file
+ * @param {string} url - Bindings location
+ * @returns {Promise<Object>} Raw bindings
+ */
+export async function loadBindingsFromUrl(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Bindings not found: ${url} (${response.status})`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Load bindings and start dispatching gestures to actions
+ * A ?bindings= URL preset takes precedence over saved bindings
+ * @returns {Promise<void>}
+ */
+export async function initBindings() {
+    const presetUrl = new URLSearchParams(window.location.search).get('bindings');
+    let source = loadStoredBindings() || DEFAULT_BINDINGS;
+
+    if (presetUrl) {
+        try {
+            source = await loadBindingsFromUrl(presetUrl);
+            console.log('[JARVIS] Gesture bindings loaded from', presetUrl);
+        } catch (error) {
+            console.warn('[JARVIS] Gesture bindings preset failed, using saved bindings:', error);
+        }
+    }
+
+    setBindings(source, false);
+    on('gesture', dispatchGesture);
+}
+
+/**
+ * Run the grab and bound actions of a gesture event
+ * @param {Object} event - Gesture event from gestures.js
+ */
+function dispatchGesture(event) {
+    const actionName = bindings.gestures[event.gesture];
+    const grabName = bindings.grab[event.gesture];
+
+    const boundEvent = {
+        ...event,
+        hand: bindings.swapHands ? swapHand(event.hand) : event.hand,
+        trackedHand: event.hand
+    };
+
+    // Grab first, so the bound action already sees a latched grab
+    if (grabName !== actionName) runAction(actions.get(grabName), boundEvent);
+    runAction(actions.get(actionName), boundEvent);
+}
+
+/**
+ * Call an action's handler for a gesture event's phase
+ * @param {Object|undefined} action - Registered action
+ * @param {Object} event - Gesture event with bound hands
+ */
+function runAction(action, event) {
+    if (!action) return;
+
+    if (event.phase === 'start' && action.start) action.start(event);
+    if (event.phase !== 'end' && action.active) action.active(event);
+    if (event.phase === 'end' && action.end) action.end(event);
+}
+
+/**
+ * Swap a hand label
+ * @param {'left'|'right'|'both'} hand
+ * @returns {'left'|'right'|'both'}
+ */
+function swapHand(hand) {
+    if (hand === 'left') return 'right';
+    if (hand === 'right') return 'left';
+    return hand;
+}
+
+/**
+ * Build the bindings editor in a settings section
+ * @param {HTMLElement} container - Section body to render into
+ */
+export function renderBindingsSettings(container) {
+    settingsContainer = container;
+    container.innerHTML = '';
+
+    BOUND_GESTURES.forEach(gesture => {
+        const select = createActionSelect(bindings.gestures[gesture], value => setGestureBinding(gesture, value));
+        container.appendChild(createSettingsRow(gesture.toUpperCase(), select));
+    });
+
+    GRAB_GESTURES.forEach(gesture => {
+        const select = createActionSelect(bindings.grab[gesture], value => setGrabBinding(gesture, value));
+        container.appendChild(createSettingsRow(`${gesture.toUpperCase()} ON GLOBE`, select));
+    });
+
+    const swapInput = document.createElement('input');
+    swapInput.type = 'checkbox';
+    swapInput.checked = bindings.swapHands;
+    swapInput.addEventListener('change', () => setSwapHands(swapInput.checked));
+    container.appendChild(createSettingsRow('SWAP HANDS', swapInput));
+
+    const twoHandSelect = document.createElement('select');
+    twoHandSelect.className = 'settings-input';
+    Object.entries(TWO_HAND_MODES).forEach(([mode, label]) => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = label;
+        twoHandSelect.appendChild(option);
+    });
+    twoHandSelect.value = bindings.twoHands;
+    twoHandSelect.addEventListener('change', () => setTwoHandMode(twoHandSelect.value));
+    container.appendChild(createSettingsRow('TWO HANDS', twoHandSelect));
+
+    const buttons = document.createElement('div');
+    buttons.className = 'settings-buttons';
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = 'application/json,.json';
+    importInput.hidden = true;
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+
+        try {
+            setBindings(JSON.parse(await file.text()));
+            console.log('[JARVIS] Gesture bindings imported from', file.name);
+        } catch (error) {
+            console.warn('[JARVIS] Invalid gesture bindings file:', error);
+        }
+    });
+
+    buttons.append(
+        createSettingsButton('IMPORT', () => importInput.click()),
+        createSettingsButton('EXPORT', exportBindings),
+        createSettingsButton('RESET', resetBindings),
+        importInput
+    );
+    container.appendChild(buttons);
+}
+
+/**
+ * Build a select listing every registered action
+ * @param {string} value - Selected action name
+ * @param {Function} onChange - Called with the chosen action name
+ * @returns {HTMLSelectElement}
+ */
+function createActionSelect(value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'settings-input';
+
+    [{ name: NO_ACTION, label: 'None' }, ...getActions()].forEach(({ name, label }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+
+    return select;
+}
+
+/**
+ * Download the current bindings as JSON
+ */
+function exportBindings() {
+    const blob = new Blob([JSON.stringify(bindings, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'jarvis-bindings.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,428 @@
+/**
+ * JARVIS AR - Calibration Module
+ * Guided wizard that derives per-user gesture thresholds
+ *
+ * The user holds an open hand, a fist and a pinch, then waves. Distances and
+ * velocities are measured relative to palm size (wrist to middle finger MCP),
+ * so the stored profile describes the hand rather than its distance from the
+ * camera at calibration time.
+ */
+
+import { getHands } from './mediapipe.js';
+import {
+    setGestureThresholds, detectPinch, getHandScale, getPalmCenter,
+    getFingerCurlRatios, getFingerExtensionRatios
+} from './gestures.js';
+import { createSettingsRow, createSettingsButton, toggleSettingsPanel } from './settings.js';
+
+const STORAGE_KEY = 'jarvis.calibrationProfile';
+const PROFILE_VERSION = 1;
+
+// Wizard steps, each sampled for `duration` ms of visible hand after `prepare` ms
+const CALIBRATION_STEPS = [
+    { id: 'open', instruction: 'HOLD YOUR HAND OPEN, FINGERS SPREAD', prepare: 1500, duration: 2000 },
+    { id: 'fist', instruction: 'MAKE A FIST', prepare: 1500, duration: 2000 },
+    { id: 'pinch', instruction: 'PINCH THUMB AND INDEX FINGER TOGETHER', prepare: 1500, duration: 2000 },
+    { id: 'wave', instruction: 'WAVE YOUR HAND LEFT AND RIGHT', prepare: 1500, duration: 3000 }
+];
+const MIN_STEP_SAMPLES = 10;
+
+// Samples each step collects, to name the steps that came up short
+const STEP_SAMPLES = {
+    open: ['palmSize', 'openCurl', 'openExtension', 'openPinch'],
+    fist: ['fistCurl', 'fistExtension'],
+    pinch: ['pinch'],
+    wave: ['waveSpeed']
+};
+
+// Where each threshold sits between the two poses it separates (0 = first pose, 1 = second)
+const PINCH_BLEND = 0.35;      // Between pinched and open thumb-index distance
+const WAVE_SPEED_FRACTION = 0.3; // Fraction of typical wave speed that starts a wave
+
+// Exit thresholds relative to the calibrated enter thresholds
+const PINCH_EXIT_RATIO = 4 / 3;
+const WAVE_EXIT_RATIO = 0.75;
+const GRASP_EXIT_MARGIN = 0.15;
+const OPEN_EXIT_MARGIN = 0.1;
+
+let profile = null;
+let calibrating = false;
+let stepIndex = 0;
+let stepStart = 0;
+let sampledTime = 0;
+let lastSampleTime = 0;
+let samples = null;
+let lastPalm = null;
+let settingsContainer = null;
+
+/**
+ * Load the saved calibration profile and apply it to the detectors
+ */
+export function initCalibration() {
+    profile = loadProfile();
+    applyProfile(profile);
+
+    const cancelButton = document.getElementById('calibration-cancel');
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => cancelCalibration());
+    }
+
+    const retryButton = document.getElementById('calibration-retry');
+    if (retryButton) {
+        retryButton.addEventListener('click', () => startCalibration());
+    }
+}
+
+/**
+ * Start the calibration wizard
+ */
+export function startCalibration() {
+    calibrating = true;
+    samples = {
+        palmSize: [],
+        openCurl: [],
+        openExtension: [],
+        openPinch: [],
+        fistCurl: [],
+        fistExtension: [],
+        pinch: [],
+        waveSpeed: []
+    };
+    startStep(0);
+
+    toggleSettingsPanel(false);
+    showFailure(null);
+    showOverlay(true);
+    console.log('[JARVIS] Calibration started');
+}
+
+/**
+ * Abort the wizard, or close its failure screen, keeping the previous profile
+ */
+export function cancelCalibration() {
+    showOverlay(false);
+    if (!calibrating) return;
+
+    calibrating = false;
+    samples = null;
+    console.log('[JARVIS] Calibration cancelled');
+}
+
+/**
+ * Check if the wizard is running
+ * @returns {boolean}
+ */
+export function isCalibrating() {
+    return calibrating;
+}
+
+/**
+ * Get the active calibration profile
+ * @returns {Object|null} Profile, null when using default thresholds
+ */
+export function getCalibrationProfile() {
+    return profile ? { ...profile } : null;
+}
+
+/**
+ * Discard the saved profile and restore default thresholds
+ */
+export function resetCalibration() {
+    profile = null;
+    applyProfile(null);
+
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('[JARVIS] Could not clear calibration profile:', error);
+    }
+
+    if (settingsContainer) renderCalibrationSettings(settingsContainer);
+}
+
+/**
+ * Sample the current hand for the active step; call once per frame
+ * @param {number} now - Current time in ms
+ */
+export function updateCalibration(now = performance.now()) {
+    if (!calibrating) return;
+
+    const step = CALIBRATION_STEPS[stepIndex];
+    const hand = getHands()[0];
+    const frameTime = lastSampleTime ? now - lastSampleTime : 0;
+    lastSampleTime = now;
+
+    if (now - stepStart < step.prepare) {
+        updateOverlay(step, 0, 'GET READY');
+        return;
+    }
+
+    if (!hand) {
+        lastPalm = null;
+        updateOverlay(step, sampledTime / step.duration, 'SHOW ONE HAND TO THE CAMERA');
+        return;
+    }
+
+    collectSample(step.id, hand.landmarks, now);
+    sampledTime += frameTime;
+    updateOverlay(step, sampledTime / step.duration, step.id === 'wave' ? 'KEEP WAVING' : 'HOLD STILL');
+
+    if (sampledTime >= step.duration) {
+        if (stepIndex + 1 < CALIBRATION_STEPS.length) {
+            startStep(stepIndex + 1);
+        } else {
+            finishCalibration();
+        }
+    }
+}
+
+/**
+ * Reset timers for a wizard step
+ * @param {number} index - Step index
+ */
+function startStep(index) {
+    stepIndex = index;
+    stepStart = performance.now();
+    sampledTime = 0;
+    lastSampleTime = 0;
+    lastPalm = null;
+}
+
+/**
+ * Record the measurements a step needs
+ * @param {string} stepId - Step identifier
+ * @param {Array} landmarks - 21 hand landmarks
+ * @param {number} now - Current time in ms
+ */
+function collectSample(stepId, landmarks, now) {
+    const scale = getHandScale(landmarks);
+    if (scale <= 0) return;
+
+    // Fist and open hand are decided by the third most curled / extended finger
+    const curl = [...getFingerCurlRatios(landmarks)].sort((a, b) => a - b)[2];
+    const extension = [...getFingerExtensionRatios(landmarks)].sort((a, b) => b - a)[2];
+    const pinch = detectPinch(landmarks).distance;
+
+    if (stepId === 'open') {
+        samples.palmSize.push(scale);
+        samples.openCurl.push(curl);
+        samples.openExtension.push(extension);
+        samples.openPinch.push(pinch);
+    } else if (stepId === 'fist') {
+        samples.fistCurl.push(curl);
+        samples.fistExtension.push(extension);
+    } else if (stepId === 'pinch') {
+        samples.pinch.push(pinch);
+    } else if (stepId === 'wave') {
+        const palm = getPalmCenter(landmarks);
+        if (lastPalm && now > lastPalm.time) {
+            const speed = Math.abs(palm.x - lastPalm.x) / ((now - lastPalm.time) / 1000);
+            samples.waveSpeed.push(speed / scale);
+        }
+        lastPalm = { x: palm.x, time: now };
+    }
+}
+
+/**
+ * Derive the profile from collected samples, save and apply it
+ * Too few samples keep the previous profile and leave the wizard open on a failure
+ */
+function finishCalibration() {
+    calibrating = false;
+
+    const shortSteps = CALIBRATION_STEPS.filter(step =>
+        STEP_SAMPLES[step.id].some(key => samples[key].length < MIN_STEP_SAMPLES));
+
+    if (shortSteps.length > 0) {
+        console.warn('[JARVIS] Calibration failed: not enough hand samples for', shortSteps.map(step => step.id));
+        samples = null;
+        showFailure(shortSteps);
+        return;
+    }
+
+    showOverlay(false);
+    profile = deriveProfile(samples);
+    samples = null;
+
+    saveProfile(profile);
+    applyProfile(profile);
+    if (settingsContainer) renderCalibrationSettings(settingsContainer);
+
+    console.log('[JARVIS] Calibration complete:', profile);
+}
+
+/**
+ * Turn pose samples into a calibration profile
+ * @param {Object} data - Samples per measurement
+ * @returns {Object} Profile with palm size and scale-relative thresholds
+ */
+function deriveProfile(data) {
+    const fistCurl = percentile(data.fistCurl, 0.9);
+    const openCurl = percentile(data.openCurl, 0.1);
+    const openExtension = percentile(data.openExtension, 0.1);
+    const fistExtension = percentile(data.fistExtension, 0.9);
+    const pinched = percentile(data.pinch, 0.9);
+    const released = percentile(data.openPinch, 0.1);
+
+    return {
+        version: PROFILE_VERSION,
+        createdAt: new Date().toISOString(),
+        palmSize: percentile(data.palmSize, 0.5),
+        pinchRatio: clamp(pinched + (released - pinched) * PINCH_BLEND, 0.2, 1.2),
+        waveRatio: clamp(percentile(data.waveSpeed, 0.75) * WAVE_SPEED_FRACTION, 0.05, 2),
+        graspCurl: clamp((fistCurl + openCurl) / 2, 1.0, 1.6),
+        openExtend: clamp((openExtension + fistExtension) / 2, 0.95, 1.4)
+    };
+}
+
+/**
+ * Feed a profile's thresholds to the gesture detectors
+ * @param {Object|null} calibration - Profile, null for defaults
+ */
+function applyProfile(calibration) {
+    if (!calibration) {
+        setGestureThresholds(null);
+        return;
+    }
+
+    // Detectors measure pinch and wave in hand scales, the same units as the profile
+    const pinch = calibration.pinchRatio;
+    const waveVelocity = calibration.waveRatio;
+
+    setGestureThresholds({
+        pinch,
+        pinchExit: pinch * PINCH_EXIT_RATIO,
+        waveVelocity,
+        waveExitVelocity: waveVelocity * WAVE_EXIT_RATIO,
+        graspCurl: calibration.graspCurl,
+        graspCurlExit: calibration.graspCurl + GRASP_EXIT_MARGIN,
+        openExtend: calibration.openExtend,
+        openExtendExit: calibration.openExtend - OPEN_EXIT_MARGIN
+    });
+}
+
+/**
+ * Read the saved profile
+ * @returns {Object|null}
+ */
+function loadProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && stored.version === PROFILE_VERSION ? stored : null;
+    } catch (error) {
+        console.warn('[JARVIS] Ignoring unreadable calibration profile:', error);
+        return null;
+    }
+}
+
+/**
+ * Save a profile to localStorage
+ * @param {Object} calibration - Profile to save
+ */
+function saveProfile(calibration) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+    } catch (error) {
+        console.warn('[JARVIS] Could not save calibration profile:', error);
+    }
+}
+
+/**
+ * Value at a fraction of the sorted samples
+ * @param {Array<number>} values - Samples
+ * @param {number} fraction - 0 to 1
+ * @returns {number}
+ */
+function percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor(fraction * sorted.length));
+    return sorted[index];
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Show or hide the wizard overlay
+ * @param {boolean} show
+ */
+function showOverlay(show) {
+    const overlay = document.getElementById('calibration-overlay');
+    if (overlay) {
+        overlay.classList.toggle('hidden', !show);
+    }
+}
+
+/**
+ * Show the wizard's failure screen with a retry, or return it to the steps
+ * @param {Array<Object>|null} shortSteps - Steps without enough samples, null to clear
+ */
+function showFailure(shortSteps) {
+    const overlay = document.getElementById('calibration-overlay');
+    const retryButton = document.getElementById('calibration-retry');
+    const failed = !!shortSteps;
+
+    if (overlay) overlay.classList.toggle('failed', failed);
+    if (retryButton) retryButton.classList.toggle('hidden', !failed);
+    if (!failed) return;
+
+    const stepLabel = document.getElementById('calibration-step');
+    const instruction = document.getElementById('calibration-instruction');
+    const hintLabel = document.getElementById('calibration-hint');
+
+    if (stepLabel) stepLabel.textContent = 'CALIBRATION FAILED';
+    if (instruction) instruction.textContent = 'NOT ENOUGH HAND SAMPLES';
+    if (hintLabel) {
+        const steps = shortSteps.map(step => `STEP ${CALIBRATION_STEPS.indexOf(step) + 1}`).join(', ');
+        hintLabel.textContent = `KEEP ONE HAND IN VIEW DURING ${steps}, THEN RETRY`;
+    }
+}
+
+/**
+ * Update wizard text and progress
+ * @param {Object} step - Current step
+ * @param {number} progress - Step progress, 0 to 1
+ * @param {string} hint - Status hint under the instruction
+ */
+function updateOverlay(step, progress, hint) {
+    const stepLabel = document.getElementById('calibration-step');
+    const instruction = document.getElementById('calibration-instruction');
+    const hintLabel = document.getElementById('calibration-hint');
+    const progressBar = document.getElementById('calibration-progress');
+
+    if (stepLabel) stepLabel.textContent = `STEP ${stepIndex + 1} / ${CALIBRATION_STEPS.length}`;
+    if (instruction) instruction.textContent = step.instruction;
+    if (hintLabel) hintLabel.textContent = hint;
+    if (progressBar) progressBar.style.width = `${Math.min(1, progress) * 100}%`;
+}
+
+/**
+ * Build the calibration controls in a settings section
+ * @param {HTMLElement} container - Section body to render into
+ */
+export function renderCalibrationSettings(container) {
+    settingsContainer = container;
+    container.innerHTML = '';
+
+    const status = document.createElement('span');
+    status.className = 'status-value';
+    status.textContent = profile ? `CALIBRATED ${profile.createdAt.slice(0, 10)}` : 'DEFAULT';
+    status.classList.toggle('online', !!profile);
+    container.appendChild(createSettingsRow('PROFILE', status));
+
+    const buttons = document.createElement('div');
+    buttons.className = 'settings-buttons';
+    buttons.append(
+        createSettingsButton('CALIBRATE', startCalibration),
+        createSettingsButton('RESET', resetCalibration)
+    );
+    container.appendChild(buttons);
+}
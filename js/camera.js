@@ -1,54 +1,767 @@
 /**
  * JARVIS AR - Camera Module
  * Handles webcam capture and AR background layer
+ *
+ * The camera device and resolution preset are chosen in the settings panel,
+ * remembered in localStorage and can be switched while running; the AR
+ * background's VideoTexture is rebuilt for the new stream.
+ *
+ * A local video file can replace the webcam for both the background and
+ * tracking: open it from the settings panel or drop it on the page, or
+ * start with ?video=clips/demo.mp4. Playback controls appear while a file plays.
+ *
+ * The background is fitted to the viewport from the video's own aspect ratio:
+ * 'cover' crops the overflowing edges, 'contain' letterboxes the whole frame.
+ * Choose it in the settings panel or with ?fit=contain. getVideoFit exposes
+ * the same crop so landmark overlays line up with the video.
  */
 
 import * as THREE from 'three';
+import { createSettingsRow, createSettingsButton } from './settings.js';
+import { createInsecureContextError, createPlaybackBlockedError } from './errors.js';
+
+const STORAGE_KEY = 'jarvis.camera';
+
+export const RESOLUTION_PRESETS = {
+    '1080p30': { label: '1920x1080 30FPS', width: 1920, height: 1080, frameRate: 30 },
+    '720p60': { label: '1280x720 60FPS', width: 1280, height: 720, frameRate: 60 },
+    '720p30': { label: '1280x720 30FPS', width: 1280, height: 720, frameRate: 30 },
+    '480p30': { label: '640x480 30FPS', width: 640, height: 480, frameRate: 30 }
+};
+const DEFAULT_PRESET = '1080p30';
+
+const FIT_STORAGE_KEY = 'jarvis.videoFit';
+const FIT_MODES = ['cover', 'contain'];
+const BACKGROUND_DISTANCE = 10;  // Distance of the background plane from the camera
 
 let videoElement = null;
 let videoStream = null;
 let isInitialized = false;
+let backgroundPlane = null;
+let backgroundCamera = null;
+let fitMode = 'cover';
+let settingsContainer = null;
+let videoFileUrl = null;    // Object URL of the playing file, revoked on change
+let isFileSource = false;
+let usingFallback = false;  // Saved camera missing, default camera in use
+let cameraLost = false;     // No camera could be opened after the track ended
+let onCameraState = null;
+
+// Current choice; a null deviceId means the browser's default front camera
+const cameraChoice = { deviceId: null, preset: DEFAULT_PRESET };
 
 /**
- * Initialize webcam capture
+ * Initialize webcam capture with the remembered camera and preset
+ * Safe to call again to retry after a failure
+ * @param {AbortSignal} signal - Aborted when startup gives up; a stream that opens later is stopped
  * @returns {Promise<HTMLVideoElement>} The video element with camera feed
  */
-export async function initCamera() {
-    videoElement = document.getElementById('webcam');
-
+export async function initCamera(signal = null) {
     if (!videoElement) {
-        throw new Error('Webcam video element not found');
+        videoElement = document.getElementById('webcam');
+
+        if (!videoElement) {
+            throw new Error('Webcam video element not found');
+        }
+
+        Object.assign(cameraChoice, loadCameraChoice());
+        fitMode = loadFitMode();
+        initVideoControls();
+
+        // Fires when the first frame arrives and whenever the source size changes
+        videoElement.addEventListener('resize', fitARBackground);
+
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+        }
+    }
+
+    const videoUrl = getVideoFileUrl();
+    if (videoUrl) {
+        await openVideoFile(videoUrl, signal);
+        return videoElement;
+    }
+
+    // Browsers hide mediaDevices entirely outside HTTPS and localhost
+    if (!window.isSecureContext || !navigator.mediaDevices) {
+        throw createInsecureContextError();
+    }
+
+    try {
+        await openPreferredStream(signal);
+    } catch (error) {
+        console.error('[JARVIS] Camera initialization failed:', error);
+        throw error;
+    }
+
+    return videoElement;
+}
+
+/**
+ * Get the video file requested with ?video= in place of the webcam
+ * @returns {string|null} Video URL, or null for the webcam
+ */
+export function getVideoFileUrl() {
+    return new URLSearchParams(window.location.search).get('video');
+}
+
+/**
+ * Open the saved camera, falling back to the default one when it is missing
+ * @param {AbortSignal} signal - Abandons the attempt
+ * @returns {Promise<void>}
+ */
+async function openPreferredStream(signal = null) {
+    try {
+        await openStream(cameraChoice, signal);
+        usingFallback = false;
+    } catch (error) {
+        if (!cameraChoice.deviceId || error.name === 'PlaybackBlockedError') throw error;
+        if (signal && signal.aborted) throw error;
+
+        // The saved camera may be unplugged; keep it as the preference for when it returns
+        console.warn('[JARVIS] Saved camera unavailable, using default:', error);
+        await openStream({ ...cameraChoice, deviceId: null }, signal);
+        usingFallback = true;
     }
+}
 
-    const constraints = {
-        video: {
-            width: { ideal: 1920 },
-            height: { ideal: 1080 },
-            facingMode: 'user',
-            frameRate: { ideal: 30, max: 60 }
-        },
-        audio: false
+/**
+ * Build getUserMedia constraints for a camera choice
+ * @param {{deviceId: string|null, preset: string}} choice
+ * @returns {MediaStreamConstraints}
+ */
+function buildConstraints(choice) {
+    const preset = RESOLUTION_PRESETS[choice.preset] || RESOLUTION_PRESETS[DEFAULT_PRESET];
+    const video = {
+        width: { ideal: preset.width },
+        height: { ideal: preset.height },
+        frameRate: { ideal: preset.frameRate, max: 60 }
     };
 
+    if (choice.deviceId) {
+        video.deviceId = { exact: choice.deviceId };
+    } else {
+        video.facingMode = 'user';
+    }
+
+    return { video, audio: false };
+}
+
+/**
+ * Start a stream for a camera choice, replacing the current one
+ * @param {{deviceId: string|null, preset: string}} choice
+ * @param {AbortSignal} signal - Abandons the attempt, stopping the stream
+ * @returns {Promise<void>}
+ */
+async function openStream(choice, signal = null) {
+    // Release first: many cameras cannot be opened twice at once
+    if (videoStream) {
+        releaseStream(videoStream);
+        videoStream = null;
+    }
+    closeVideoFile();
+
+    const stream = await navigator.mediaDevices.getUserMedia(buildConstraints(choice));
+
+    // Startup gave up while the permission prompt was open; a retry may own the camera now
+    if (signal && signal.aborted) {
+        releaseStream(stream);
+        throw signal.reason;
+    }
+
+    videoStream = stream;
+    videoElement.srcObject = stream;
+
+    stream.getVideoTracks().forEach(track => {
+        track.addEventListener('ended', () => handleTrackEnded(stream));
+    });
+
     try {
-        videoStream = await navigator.mediaDevices.getUserMedia(constraints);
-        videoElement.srcObject = videoStream;
-
-        await new Promise((resolve) => {
-            videoElement.onloadedmetadata = () => {
-                videoElement.play();
-                resolve();
-            };
+        await playWhenLoaded(signal);
+    } catch (error) {
+        releaseStream(stream);
+        if (videoStream === stream) videoStream = null;
+        throw error;
+    }
+
+    isInitialized = true;
+    console.log('[JARVIS] Camera initialized:', videoElement.videoWidth, 'x', videoElement.videoHeight);
+}
+
+/**
+ * Start playback once the video element has its new source's metadata
+ * @param {AbortSignal} signal - Stops waiting when aborted
+ * @returns {Promise<void>} Rejects if the source fails to load or the browser blocks playback
+ */
+function playWhenLoaded(signal = null) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => fail(signal.reason);
+        const done = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        };
+        const fail = (error) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error);
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        videoElement.onloadedmetadata = () => {
+            // Muted video may autoplay, but power saving modes can still block it until a click
+            videoElement.play().then(done, (error) => {
+                fail(error && error.name === 'NotAllowedError' ? createPlaybackBlockedError() : error);
+            });
+        };
+        videoElement.onerror = () => {
+            fail(videoElement.error || new Error('Video source failed to load'));
+        };
+    });
+}
+
+/**
+ * Play a video file in place of the webcam
+ * @param {File|string} source - File from the picker or a drop, or a video URL
+ * @param {AbortSignal} signal - Abandons loading, closing the file
+ * @returns {Promise<void>}
+ */
+export async function openVideoFile(source, signal = null) {
+    if (videoStream) {
+        releaseStream(videoStream);
+        videoStream = null;
+    }
+    closeVideoFile();
+
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    if (typeof source !== 'string') videoFileUrl = url;
+
+    videoElement.srcObject = null;
+    videoElement.src = url;
+    videoElement.loop = true;
+    videoElement.muted = true;  // An audio track would make autoplay policy block playback
+    videoElement.playbackRate = 1;
+
+    try {
+        await playWhenLoaded(signal);
+    } catch (error) {
+        closeVideoFile();
+        throw error;
+    }
+
+    isFileSource = true;
+    isInitialized = true;
+    rebuildVideoTexture();
+    showVideoControls(true);
+    if (settingsContainer) renderCameraSettings(settingsContainer);
+    console.log('[JARVIS] Playing video file:', typeof source === 'string' ? source : source.name);
+}
+
+/**
+ * Detach the current video file, if any
+ */
+function closeVideoFile() {
+    if (!isFileSource && !videoFileUrl) return;
+
+    videoElement.pause();
+    videoElement.removeAttribute('src');
+    videoElement.load();
+    videoElement.loop = false;
+
+    if (videoFileUrl) {
+        URL.revokeObjectURL(videoFileUrl);
+        videoFileUrl = null;
+    }
+
+    isFileSource = false;
+    isInitialized = false;
+    showVideoControls(false);
+}
+
+/**
+ * Check if a video file is the current source
+ * @returns {boolean}
+ */
+export function isVideoFileSource() {
+    return isFileSource;
+}
+
+/**
+ * Wire the video file playback bar and drag-and-drop onto the page
+ */
+function initVideoControls() {
+    const playButton = document.getElementById('video-play');
+    const seekInput = document.getElementById('video-seek');
+    const speedSelect = document.getElementById('video-speed');
+    const loopInput = document.getElementById('video-loop');
+    const cameraButton = document.getElementById('video-camera');
+    const timeLabel = document.getElementById('video-time');
+    let seeking = false;
+
+    if (playButton) {
+        playButton.addEventListener('click', () => {
+            if (videoElement.paused) {
+                videoElement.play().catch(error => console.warn('[JARVIS] Could not play video file:', error));
+            } else {
+                videoElement.pause();
+            }
         });
+        videoElement.addEventListener('play', () => { playButton.textContent = 'PAUSE'; });
+        videoElement.addEventListener('pause', () => { playButton.textContent = 'PLAY'; });
+    }
 
-        isInitialized = true;
-        console.log('[JARVIS] Camera initialized:', videoElement.videoWidth, 'x', videoElement.videoHeight);
-        return videoElement;
+    if (seekInput) {
+        seekInput.addEventListener('input', () => {
+            seeking = true;
+            if (videoElement.duration) {
+                videoElement.currentTime = Number(seekInput.value) * videoElement.duration;
+            }
+        });
+        seekInput.addEventListener('change', () => { seeking = false; });
+    }
+
+    videoElement.addEventListener('timeupdate', () => {
+        if (!isFileSource) return;
+
+        const duration = videoElement.duration || 0;
+        if (seekInput && !seeking && duration) {
+            seekInput.value = videoElement.currentTime / duration;
+        }
+        if (timeLabel) {
+            timeLabel.textContent = `${formatTime(videoElement.currentTime)} / ${formatTime(duration)}`;
+        }
+    });
+
+    if (speedSelect) {
+        speedSelect.addEventListener('change', () => {
+            videoElement.playbackRate = Number(speedSelect.value);
+        });
+    }
+
+    if (loopInput) {
+        loopInput.addEventListener('change', () => {
+            videoElement.loop = loopInput.checked;
+        });
+    }
+
+    if (cameraButton) {
+        cameraButton.addEventListener('click', () => applyCameraChange({}));
+    }
+
+    initVideoDrop();
+}
+
+/**
+ * Accept video files dropped anywhere on the page
+ */
+function initVideoDrop() {
+    const overlay = document.getElementById('drop-overlay');
+    const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+    window.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        if (overlay) overlay.classList.remove('hidden');
+    });
+
+    window.addEventListener('dragleave', (e) => {
+        // Leaving the window reports no related target
+        if (overlay && !e.relatedTarget) overlay.classList.add('hidden');
+    });
+
+    window.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        if (overlay) overlay.classList.add('hidden');
+
+        const file = [...e.dataTransfer.files].find(candidate => candidate.type.startsWith('video/'));
+        if (!file) {
+            console.warn('[JARVIS] Dropped file is not a video');
+            return;
+        }
+
+        openVideoFile(file).catch(error => console.warn('[JARVIS] Could not play video file:', error));
+    });
+}
+
+/**
+ * Show or hide the video playback bar, resetting it for a new file
+ * @param {boolean} show
+ */
+function showVideoControls(show) {
+    const controls = document.getElementById('video-controls');
+    if (controls) controls.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const speedSelect = document.getElementById('video-speed');
+    const loopInput = document.getElementById('video-loop');
+    if (speedSelect) speedSelect.value = String(videoElement.playbackRate);
+    if (loopInput) loopInput.checked = videoElement.loop;
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    const whole = Math.floor(seconds || 0);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Point the AR background at the video element's current source
+ * The old texture is bound to the previous source's frames and size
+ */
+function rebuildVideoTexture() {
+    if (!backgroundPlane) return;
+
+    backgroundPlane.material.map.dispose();
+    backgroundPlane.material.map = createVideoTexture();
+    backgroundPlane.material.needsUpdate = true;
+    fitARBackground();
+}
 
+/**
+ * Stop a stream's tracks
+ * Stopping does not fire 'ended', so handleTrackEnded only sees real losses
+ * @param {MediaStream} stream
+ */
+function releaseStream(stream) {
+    stream.getTracks().forEach(track => track.stop());
+}
+
+/**
+ * React to the camera disappearing (unplugged, or taken by another app)
+ * @param {MediaStream} stream - Stream whose track ended
+ */
+async function handleTrackEnded(stream) {
+    if (stream !== videoStream) return;
+
+    console.warn('[JARVIS] Camera track ended');
+    isInitialized = false;
+
+    // Another camera, such as the built-in webcam, may still be available
+    try {
+        await recoverCamera();
     } catch (error) {
-        console.error('[JARVIS] Camera initialization failed:', error);
+        console.warn('[JARVIS] Camera lost, waiting for a device:', error);
+    }
+}
+
+/**
+ * Retry the camera when devices are plugged in, and refresh the picker
+ */
+async function handleDeviceChange() {
+    if (settingsContainer) renderCameraSettings(settingsContainer);
+    if (isFileSource || (!cameraLost && !usingFallback)) return;
+
+    try {
+        // After a loss any camera will do; on a fallback, wait for the saved camera
+        const cameras = await listCameras();
+        const savedCameraBack = cameras.some(camera => camera.deviceId === cameraChoice.deviceId);
+        if (cameraLost ? cameras.length === 0 : !savedCameraBack) return;
+
+        await recoverCamera();
+        console.log('[JARVIS] Camera recovered');
+    } catch (error) {
+        console.warn('[JARVIS] Camera recovery failed:', error);
+    }
+}
+
+/**
+ * Restart the camera, preferring the saved device
+ * Reports 'lost' when no camera can be opened and 'recovered' once one is back
+ * @returns {Promise<void>}
+ */
+export async function recoverCamera() {
+    if (isFileSource) return;
+
+    stopCamera();
+
+    try {
+        await openPreferredStream();
+    } catch (error) {
+        if (!cameraLost) {
+            cameraLost = true;
+            notifyCameraState('lost');
+        }
+        throw error;
+    }
+
+    rebuildVideoTexture();
+    if (settingsContainer) renderCameraSettings(settingsContainer);
+
+    if (cameraLost) {
+        cameraLost = false;
+        notifyCameraState('recovered');
+    }
+}
+
+/**
+ * Set callback for camera loss and recovery
+ * @param {Function} callback - Receives 'lost' or 'recovered'
+ */
+export function setCameraStateCallback(callback) {
+    onCameraState = callback;
+}
+
+/**
+ * Notify the camera state callback
+ * @param {'lost'|'recovered'} state
+ */
+function notifyCameraState(state) {
+    if (onCameraState) onCameraState(state);
+}
+
+/**
+ * Forget the saved camera and preset
+ */
+export function resetCameraChoice() {
+    cameraChoice.deviceId = null;
+    cameraChoice.preset = DEFAULT_PRESET;
+    saveCameraChoice();
+}
+
+/**
+ * Switch to another camera or preset without reloading
+ * Also returns from video file playback to the webcam
+ * @param {{deviceId?: string|null, preset?: string}} choice - Fields to change
+ * @param {boolean} persist - Remember the choice
+ * @returns {Promise<void>}
+ */
+export async function switchCamera(choice, persist = true) {
+    const next = { ...cameraChoice, ...choice };
+
+    try {
+        await openStream(next);
+    } catch (error) {
+        // Reopen the camera we had so the feed doesn't stay dark
+        await openPreferredStream().catch(() => {});
         throw error;
     }
+    Object.assign(cameraChoice, next);
+    usingFallback = false;
+    if (persist) saveCameraChoice();
+
+    rebuildVideoTexture();
+
+    if (settingsContainer) renderCameraSettings(settingsContainer);
+
+    if (cameraLost) {
+        cameraLost = false;
+        notifyCameraState('recovered');
+    }
+}
+
+/**
+ * List available cameras
+ * Labels are empty until camera permission has been granted
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export async function listCameras() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Camera ${index + 1}`
+        }));
+}
+
+/**
+ * Get the active camera's device ID and preset
+ * @returns {{deviceId: string|null, preset: string}}
+ */
+export function getCameraChoice() {
+    const track = videoStream && videoStream.getVideoTracks()[0];
+    const activeDeviceId = track && track.getSettings ? track.getSettings().deviceId : null;
+
+    return {
+        deviceId: (usingFallback ? null : cameraChoice.deviceId) || activeDeviceId || null,
+        preset: cameraChoice.preset
+    };
+}
+
+/**
+ * Read the remembered camera choice
+ * @returns {Object}
+ */
+function loadCameraChoice() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            deviceId: typeof stored.deviceId === 'string' ? stored.deviceId : null,
+            preset: RESOLUTION_PRESETS[stored.preset] ? stored.preset : DEFAULT_PRESET
+        };
+    } catch (error) {
+        console.warn('[JARVIS] Ignoring unreadable camera settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Remember the camera choice
+ */
+function saveCameraChoice() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(cameraChoice));
+    } catch (error) {
+        console.warn('[JARVIS] Could not save camera settings:', error);
+    }
+}
+
+/**
+ * Build the camera picker in a settings section
+ * Safe to call without awaiting: a failure to list cameras is logged
+ * @param {HTMLElement} container - Section body to render into
+ * @returns {Promise<void>}
+ */
+export function renderCameraSettings(container) {
+    settingsContainer = container;
+
+    return buildCameraSettings(container)
+        .catch(error => console.warn('[JARVIS] Could not build camera settings:', error));
+}
+
+/**
+ * Fill the camera settings section with the available cameras and controls
+ * @param {HTMLElement} container - Section body to render into
+ * @returns {Promise<void>}
+ */
+async function buildCameraSettings(container) {
+    const cameras = await listCameras();
+    const current = getCameraChoice();
+    container.innerHTML = '';
+
+    const deviceSelect = document.createElement('select');
+    deviceSelect.className = 'settings-input';
+    cameras.forEach(({ deviceId, label }) => {
+        const option = document.createElement('option');
+        option.value = deviceId;
+        option.textContent = label;
+        deviceSelect.appendChild(option);
+    });
+    deviceSelect.value = current.deviceId || '';
+    deviceSelect.addEventListener('change', () => applyCameraChange({ deviceId: deviceSelect.value }));
+    container.appendChild(createSettingsRow('DEVICE', deviceSelect));
+
+    const presetSelect = document.createElement('select');
+    presetSelect.className = 'settings-input';
+    Object.entries(RESOLUTION_PRESETS).forEach(([name, preset]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    presetSelect.value = current.preset;
+    presetSelect.addEventListener('change', () => applyCameraChange({ preset: presetSelect.value }));
+    container.appendChild(createSettingsRow('RESOLUTION', presetSelect));
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'video/*';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        openVideoFile(file).catch(error => console.warn('[JARVIS] Could not play video file:', error));
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'settings-buttons';
+    buttons.append(createSettingsButton('OPEN VIDEO FILE', () => fileInput.click()));
+    if (isFileSource) {
+        buttons.append(createSettingsButton('USE CAMERA', () => applyCameraChange({})));
+    }
+    buttons.append(fileInput);
+    container.appendChild(buttons);
+
+    const fitSelect = document.createElement('select');
+    fitSelect.className = 'settings-input';
+    FIT_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = mode.toUpperCase();
+        fitSelect.appendChild(option);
+    });
+    fitSelect.value = fitMode;
+    fitSelect.addEventListener('change', () => setVideoFitMode(fitSelect.value));
+    container.appendChild(createSettingsRow('FIT', fitSelect));
+}
+
+/**
+ * Read the fit mode from the URL, then saved settings
+ * @returns {'cover'|'contain'}
+ */
+function loadFitMode() {
+    const param = new URLSearchParams(window.location.search).get('fit');
+    if (FIT_MODES.includes(param)) return param;
+
+    try {
+        const stored = localStorage.getItem(FIT_STORAGE_KEY);
+        return FIT_MODES.includes(stored) ? stored : 'cover';
+    } catch (error) {
+        return 'cover';
+    }
+}
+
+/**
+ * Change and save how the video fits the viewport
+ * @param {'cover'|'contain'} mode
+ */
+export function setVideoFitMode(mode) {
+    if (!FIT_MODES.includes(mode)) return;
+
+    fitMode = mode;
+    fitARBackground();
+
+    try {
+        localStorage.setItem(FIT_STORAGE_KEY, mode);
+    } catch (error) {
+        console.warn('[JARVIS] Could not save video fit:', error);
+    }
+}
+
+/**
+ * Get the video's displayed size relative to the viewport
+ * Above 1 on an axis the video overflows and is cropped (cover); below 1 it is
+ * letterboxed (contain). Normalized landmark offsets from the frame center
+ * scale by the same factors to land on screen.
+ * @param {number} viewWidth - Viewport width
+ * @param {number} viewHeight - Viewport height
+ * @returns {{scaleX: number, scaleY: number}}
+ */
+export function getVideoFit(viewWidth = window.innerWidth, viewHeight = window.innerHeight) {
+    const videoWidth = videoElement ? videoElement.videoWidth : 0;
+    const videoHeight = videoElement ? videoElement.videoHeight : 0;
+
+    // Synthetic and recorded tracking have no frame to fit; they span the viewport
+    if (!videoWidth || !videoHeight || !viewWidth || !viewHeight) {
+        return { scaleX: 1, scaleY: 1 };
+    }
+
+    // Above 1 the video is wider than the viewport
+    const ratio = (videoWidth / videoHeight) / (viewWidth / viewHeight);
+    const fitWidth = fitMode === 'cover' ? ratio < 1 : ratio > 1;
+
+    return fitWidth
+        ? { scaleX: 1, scaleY: 1 / ratio }
+        : { scaleX: ratio, scaleY: 1 };
+}
+
+/**
+ * Switch camera from the settings panel, restoring the menu if it fails
+ * @param {Object} choice - Fields to change
+ */
+async function applyCameraChange(choice) {
+    try {
+        await switchCamera(choice);
+    } catch (error) {
+        console.warn('[JARVIS] Camera switch failed:', error);
+        if (settingsContainer) renderCameraSettings(settingsContainer);
+    }
 }
 
 /**
@@ -78,23 +791,19 @@ export function createVideoTexture() {
 export function setupARBackground(scene, camera) {
     const videoTexture = createVideoTexture();
 
-    // Calculate plane size to cover entire viewport
-    const distance = 10; // Distance from camera
-    const vFov = camera.fov * Math.PI / 180;
-    const planeHeight = 2 * Math.tan(vFov / 2) * distance;
-    const planeWidth = planeHeight * camera.aspect;
-
-    const geometry = new THREE.PlaneGeometry(planeWidth * 1.2, planeHeight * 1.2);
+    // Unit plane, sized to the video's fit by fitARBackground
+    const geometry = new THREE.PlaneGeometry(1, 1);
     const material = new THREE.MeshBasicMaterial({
         map: videoTexture,
         side: THREE.FrontSide,
         depthWrite: false
     });
 
-    const backgroundPlane = new THREE.Mesh(geometry, material);
-    backgroundPlane.position.z = -distance;
-    backgroundPlane.scale.x = -1; // Mirror for selfie view
+    backgroundPlane = new THREE.Mesh(geometry, material);
+    backgroundPlane.position.z = -BACKGROUND_DISTANCE;
     backgroundPlane.renderOrder = -1;
+    backgroundCamera = camera;
+    fitARBackground();
 
     scene.add(backgroundPlane);
 
@@ -102,18 +811,32 @@ export function setupARBackground(scene, camera) {
 }
 
 /**
- * Update background plane on window resize
- * @param {THREE.Mesh} backgroundPlane - The background plane mesh
+ * Update background plane on window resize or orientation change
+ * @param {THREE.Mesh} plane - The background plane mesh
  * @param {THREE.Camera} camera - Three.js camera
  */
-export function updateARBackground(backgroundPlane, camera) {
-    const distance = 10;
-    const vFov = camera.fov * Math.PI / 180;
-    const planeHeight = 2 * Math.tan(vFov / 2) * distance;
-    const planeWidth = planeHeight * camera.aspect;
+export function updateARBackground(plane, camera) {
+    backgroundPlane = plane;
+    backgroundCamera = camera;
+    fitARBackground();
+}
+
+/**
+ * Size the background plane to the video's fit in the current viewport
+ */
+function fitARBackground() {
+    if (!backgroundPlane || !backgroundCamera) return;
+
+    const vFov = backgroundCamera.fov * Math.PI / 180;
+    const viewHeight = 2 * Math.tan(vFov / 2) * BACKGROUND_DISTANCE;
+    const viewWidth = viewHeight * backgroundCamera.aspect;
+    const { scaleX, scaleY } = getVideoFit();
 
-    backgroundPlane.geometry.dispose();
-    backgroundPlane.geometry = new THREE.PlaneGeometry(planeWidth * 1.2, planeHeight * 1.2);
+    backgroundPlane.scale.set(
+        -viewWidth * scaleX, // Mirror for selfie view
+        viewHeight * scaleY,
+        1
+    );
 }
 
 /**
@@ -137,7 +860,7 @@ export function isCameraReady() {
  */
 export function stopCamera() {
     if (videoStream) {
-        videoStream.getTracks().forEach(track => track.stop());
+        releaseStream(videoStream);
         videoStream = null;
     }
     isInitialized = false;
@@ -1,9 +1,23 @@
 /**
  * JARVIS AR - Earth Module
  * 3D Earth with particle system, gesture controls, and dual Earth mode
+ *
+ * Showing both hands spawns dual Earths, or with the "grab" two-hand mode
+ * (see bindings.js) pinching with both hands grabs the globe: the distance
+ * between the hands scales it, turning the line between them rotates it,
+ * and moving them together carries it, including toward or away from the camera.
+ *
+ * The 'spin' action (the default grab of the fist and pinch, see bindings.js)
+ * latches onto the globe when its gesture starts over it, alongside the
+ * gesture's bound action. Moving the palm spins the globe on both axes like a
+ * trackball; letting go flings it, and the spin dies down with the same
+ * momentum decay as wave rotation.
  */
 
 import * as THREE from 'three';
+import { on } from './gestures.js';
+import { registerAction, getTwoHandMode } from './bindings.js';
+import { toWorldSpace } from './mediapipe.js';
 
 // Earth state
 let earthGroup = null;
@@ -17,18 +31,70 @@ let rightEarth = null;
 let isDualMode = false;
 let isMerging = false;
 
-// Controls state
+// Controls state; earthRotation.x is the tilt, earthRotation.y spin momentum
 let earthRotation = { x: 0, y: 0 };
+let tiltMomentum = 0;
 let earthScale = 1;
 let targetScale = 1;
 let isDragging = false;
 let lastMousePos = { x: 0, y: 0 };
 
+// Gesture control state
+let zoomHand = null;
+let previousPinchDistance = 0;
+let dualEarthCooldown = 0;
+const DUAL_EARTH_COOLDOWN_FRAMES = 90;
+
+// Gesture sensitivities; pinch distance and wave velocity arrive in hand scales
+const PINCH_ZOOM_SENSITIVITY = 0.6;           // Scale change per hand scale of pinch travel
+const WAVE_ROTATION_SENSITIVITY = 0.06;       // Rotation momentum per hand scale/second
+const DUAL_WAVE_ROTATION_SENSITIVITY = 0.02;  // Direct rotation per hand scale/second in dual mode
+
+// Two-hand grab state, null while not grabbing
+let grab = null;
+const GRAB_FOCAL_LENGTH = 1.2;      // Normalized camera focal length used to place palms in depth
+const GRAB_DEPTH_RANGE = [-6, -1.5]; // World z the grabbed Earth can be carried between
+const MIN_SCALE = 0.3;
+const MAX_SCALE = 2;
+
+// Single-hand grab-and-spin state, null while not spinning
+let spin = null;
+const SPIN_HIT_MARGIN = 1.4;          // Latch radius in globe radii, covers the particle halo
+const SPIN_VELOCITY_SMOOTHING = 0.3;  // EMA weight of each frame's angular velocity
+const SPIN_STALE_MS = 500;            // Latch dropped when its gesture stops updating it, e.g. after a rebind
+const MOMENTUM_RATE = 0.02;           // Share of rotation momentum updateEarth applies per frame
+const MOMENTUM_DECAY = 0.95;          // Momentum kept per frame
+const MOMENTUM_FRAME_TIME = 1 / 60;   // Seconds per frame the momentum decay is tuned for
+
 // Particle settings
 const PARTICLE_COUNT = 3500;
 const EARTH_RADIUS = 0.5;
 const PARTICLE_BASE_RADIUS = 0.7;
 
+// Color palette for Earth-like appearance
+const OCEAN_COLOR = new THREE.Color(0x00D4FF);      // Electric blue for ocean
+const LAND_COLOR = new THREE.Color(0x00FF88);       // Bright green for land
+const POLAR_COLOR = new THREE.Color(0xFFFFFF);      // White for poles
+const DEEP_OCEAN_COLOR = new THREE.Color(0x0066AA); // Deep ocean
+
+// Surface classification of Earth particles
+export const SURFACE_OCEAN = 0;
+export const SURFACE_LAND = 1;
+export const SURFACE_ICE = 2;
+
+// Texture sampling settings
+const EARTH_TEXTURE_URL = 'assets/earth_texture.png';
+const TEXTURE_MAP_HEIGHT = 0.5;  // earth_texture.png stacks two copies of the map, sample the top one
+const TEXTURE_COLOR_MIX = 0.6;   // How much of the real texel color shows through the palette
+const ICE_MIN_LATITUDE = 0.6;    // sin(latitude) above which bright texels count as ice, not cloud
+
+// Particle highlighting around a picked point
+const HIGHLIGHT_COLOR = new THREE.Color(0xFFFFFF);
+const HIGHLIGHT_MIX = 0.8;       // Color mix at the picked point, fading to 0 at the highlight radius
+
+// Decoded Earth texture pixels, shared by every Earth instance
+let earthTextureData = null;
+
 /**
  * Create Earth instance entirely made of particles
  * @param {THREE.TextureLoader} textureLoader - Texture loader
@@ -37,10 +103,6 @@ const PARTICLE_BASE_RADIUS = 0.7;
 export function createEarthInstance(textureLoader) {
     const group = new THREE.Group();
 
-    // Load Earth texture for color sampling
-    const texture = textureLoader.load('assets/earth_texture.png');
-    texture.colorSpace = THREE.SRGBColorSpace;
-
     // Create Earth made entirely of particles
     const earthParticles = createEarthParticleSystem();
     earthParticles.name = 'earthParticles';
@@ -98,9 +160,232 @@ export function createEarthInstance(textureLoader) {
         dispersionAmount: 0
     };
 
+    // Recolor the globe from the Earth texture, keeping procedural colors as fallback
+    loadEarthTextureData(textureLoader)
+        .then((textureData) => {
+            applyTextureColors(earthParticles, group.userData.earthParticlePositions, textureData);
+        })
+        .catch((error) => {
+            console.warn('[JARVIS] Earth texture unavailable, using procedural colors:', error);
+        });
+
     return group;
 }
 
+/**
+ * Load the Earth texture and decode its pixels for color sampling
+ * The result is cached so dual Earths reuse the same pixel data, and
+ * startup can wait on the same load the Earth uses
+ * @param {THREE.TextureLoader} textureLoader - Texture loader
+ * @returns {Promise<ImageData>} Decoded texture pixels
+ */
+export function loadEarthTextureData(textureLoader) {
+    if (!earthTextureData) {
+        earthTextureData = new Promise((resolve, reject) => {
+            textureLoader.load(EARTH_TEXTURE_URL, (texture) => {
+                texture.colorSpace = THREE.SRGBColorSpace;
+                earthTexture = texture;
+
+                const image = texture.image;
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                ctx.drawImage(image, 0, 0);
+                resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            }, undefined, reject);
+        });
+    }
+
+    return earthTextureData;
+}
+
+/**
+ * Sample the equirectangular Earth texture at a point on the globe
+ * @param {ImageData} textureData - Decoded texture pixels
+ * @param {number} x - Particle x (globe space, Y is the polar axis)
+ * @param {number} y - Particle y
+ * @param {number} z - Particle z
+ * @returns {{r: number, g: number, b: number}} sRGB color in 0-1 range
+ */
+function sampleEarthTexture(textureData, x, y, z) {
+    const { u, v } = getSurfaceUV(x, y, z);
+
+    const px = Math.min(textureData.width - 1, Math.floor(u * textureData.width));
+    const py = Math.min(textureData.height - 1, Math.floor(v * TEXTURE_MAP_HEIGHT * textureData.height));
+    const index = (py * textureData.width + px) * 4;
+
+    return {
+        r: textureData.data[index] / 255,
+        g: textureData.data[index + 1] / 255,
+        b: textureData.data[index + 2] / 255
+    };
+}
+
+/**
+ * Get the texture coordinates of a globe-space point
+ * Same UV layout as THREE.SphereGeometry, which the Earth texture follows
+ * @param {number} x - Globe x (Y is the polar axis)
+ * @param {number} y - Globe y
+ * @param {number} z - Globe z
+ * @returns {{u: number, v: number}} u from longitude -180, v from the north pole
+ */
+function getSurfaceUV(x, y, z) {
+    const radius = Math.sqrt(x * x + y * y + z * z) || 1;
+
+    return {
+        u: (Math.atan2(z, -x) / (Math.PI * 2) + 1) % 1,
+        v: Math.acos(Math.max(-1, Math.min(1, y / radius))) / Math.PI
+    };
+}
+
+/**
+ * Get the latitude and longitude of a globe-space point
+ * @param {number} x - Globe x (Y is the polar axis)
+ * @param {number} y - Globe y
+ * @param {number} z - Globe z
+ * @returns {{latitude: number, longitude: number}} Degrees, north and east positive
+ */
+export function getLatLong(x, y, z) {
+    const { u, v } = getSurfaceUV(x, y, z);
+
+    return {
+        latitude: 90 - v * 180,
+        longitude: u * 360 - 180
+    };
+}
+
+/**
+ * Classify a texel as ocean, land or ice
+ * @param {{r: number, g: number, b: number}} texel - Sampled color
+ * @param {number} latitude - sin(latitude), -1 (south pole) to 1 (north pole)
+ * @returns {number} SURFACE_OCEAN, SURFACE_LAND or SURFACE_ICE
+ */
+function classifySurface(texel, latitude) {
+    const brightness = Math.min(texel.r, texel.g, texel.b);
+
+    if (brightness > 0.75 && Math.abs(latitude) > ICE_MIN_LATITUDE) {
+        return SURFACE_ICE;
+    }
+    if (texel.b > texel.r && texel.b > texel.g) {
+        return SURFACE_OCEAN;
+    }
+    return SURFACE_LAND;
+}
+
+/**
+ * Color and classify Earth particles from the texture at their lat/long
+ * @param {THREE.Points} earthParticles - Earth particle system
+ * @param {Float32Array} basePositions - Undispersed particle positions
+ * @param {ImageData} textureData - Decoded texture pixels
+ */
+function applyTextureColors(earthParticles, basePositions, textureData) {
+    const colorAttribute = earthParticles.geometry.attributes.color;
+    const colors = colorAttribute.array;
+    const surfaceTypes = earthParticles.userData.surfaceTypes;
+    const texelColor = new THREE.Color();
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+        const x = basePositions[i * 3];
+        const y = basePositions[i * 3 + 1];
+        const z = basePositions[i * 3 + 2];
+
+        const texel = sampleEarthTexture(textureData, x, y, z);
+        const latitude = y / Math.sqrt(x * x + y * y + z * z);
+        const surface = classifySurface(texel, latitude);
+
+        let color;
+        if (surface === SURFACE_ICE) {
+            color = POLAR_COLOR.clone();
+        } else if (surface === SURFACE_LAND) {
+            color = LAND_COLOR.clone();
+        } else {
+            // Darker texels are deeper water
+            const depth = 1 - Math.max(texel.r, texel.g, texel.b);
+            color = OCEAN_COLOR.clone().lerp(DEEP_OCEAN_COLOR, Math.min(1, depth * 1.5));
+        }
+
+        texelColor.setRGB(texel.r, texel.g, texel.b, THREE.SRGBColorSpace);
+        color.lerp(texelColor, TEXTURE_COLOR_MIX);
+
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+        surfaceTypes[i] = surface;
+    }
+
+    // Every color was rewritten, including any highlighted ones
+    earthParticles.userData.highlight = null;
+    colorAttribute.needsUpdate = true;
+}
+
+/**
+ * Light up the globe particles around a point
+ * Replaces the Earth's previous highlight
+ * @param {THREE.Group} earth - Earth group
+ * @param {THREE.Vector3} point - Globe-space point on the surface
+ * @param {number} radius - Globe-space distance to highlight within
+ * @returns {number|null} Surface type of the nearest particle, null if none is in range
+ */
+export function highlightParticles(earth, point, radius) {
+    clearParticleHighlight(earth);
+
+    const particles = earth.userData.earthParticles;
+    const basePositions = earth.userData.earthParticlePositions;
+    const colorAttribute = particles.geometry.attributes.color;
+    const colors = colorAttribute.array;
+    const highlight = { indices: [], colors: [] };
+    const color = new THREE.Color();
+    let nearest = -1;
+    let nearestDistance = Infinity;
+
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+        const dx = basePositions[i * 3] - point.x;
+        const dy = basePositions[i * 3 + 1] - point.y;
+        const dz = basePositions[i * 3 + 2] - point.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (distance > radius) continue;
+
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+
+        // Keep the original color to restore later
+        highlight.indices.push(i);
+        highlight.colors.push(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]);
+
+        color.fromArray(colors, i * 3).lerp(HIGHLIGHT_COLOR, HIGHLIGHT_MIX * (1 - distance / radius));
+        color.toArray(colors, i * 3);
+    }
+
+    particles.userData.highlight = highlight;
+    colorAttribute.needsUpdate = true;
+
+    return nearest >= 0 ? particles.userData.surfaceTypes[nearest] : null;
+}
+
+/**
+ * Restore the colors of highlighted globe particles
+ * @param {THREE.Group} earth - Earth group
+ */
+export function clearParticleHighlight(earth) {
+    const particles = earth && earth.userData.earthParticles;
+    const highlight = particles && particles.userData.highlight;
+    if (!highlight) return;
+
+    const colors = particles.geometry.attributes.color.array;
+    highlight.indices.forEach((index, n) => {
+        colors[index * 3] = highlight.colors[n * 3];
+        colors[index * 3 + 1] = highlight.colors[n * 3 + 1];
+        colors[index * 3 + 2] = highlight.colors[n * 3 + 2];
+    });
+
+    particles.userData.highlight = null;
+    particles.geometry.attributes.color.needsUpdate = true;
+}
+
 /**
  * Create Earth made entirely of particles forming the globe shape
  * @returns {THREE.Points} Earth particle system
@@ -109,12 +394,7 @@ function createEarthParticleSystem() {
     const positions = new Float32Array(PARTICLE_COUNT * 3);
     const colors = new Float32Array(PARTICLE_COUNT * 3);
     const sizes = new Float32Array(PARTICLE_COUNT);
-
-    // Color palette for Earth-like appearance
-    const oceanColor = new THREE.Color(0x00D4FF);     // Electric blue for ocean
-    const landColor = new THREE.Color(0x00FF88);      // Bright green for land
-    const polarColor = new THREE.Color(0xFFFFFF);     // White for poles
-    const deepOceanColor = new THREE.Color(0x0066AA); // Deep ocean
+    const surfaceTypes = new Uint8Array(PARTICLE_COUNT);
 
     for (let i = 0; i < PARTICLE_COUNT; i++) {
         // Uniform spherical distribution using Fibonacci sphere
@@ -141,8 +421,9 @@ function createEarthParticleSystem() {
 
         // Polar regions
         if (latitude > 0.85) {
-            color = polarColor.clone();
-            color.lerp(oceanColor, Math.random() * 0.3);
+            color = POLAR_COLOR.clone();
+            color.lerp(OCEAN_COLOR, Math.random() * 0.3);
+            surfaceTypes[i] = SURFACE_ICE;
         }
         // Create "continent" patterns using noise-like function
         else {
@@ -151,16 +432,19 @@ function createEarthParticleSystem() {
 
             if (noise > 0.3) {
                 // Land
-                color = landColor.clone();
-                color.lerp(oceanColor, 0.2 + Math.random() * 0.2);
+                color = LAND_COLOR.clone();
+                color.lerp(OCEAN_COLOR, 0.2 + Math.random() * 0.2);
+                surfaceTypes[i] = SURFACE_LAND;
             } else if (noise > -0.2) {
                 // Shallow ocean / coastal
-                color = oceanColor.clone();
-                color.lerp(landColor, Math.random() * 0.15);
+                color = OCEAN_COLOR.clone();
+                color.lerp(LAND_COLOR, Math.random() * 0.15);
+                surfaceTypes[i] = SURFACE_OCEAN;
             } else {
                 // Deep ocean
-                color = deepOceanColor.clone();
-                color.lerp(oceanColor, 0.3 + Math.random() * 0.3);
+                color = DEEP_OCEAN_COLOR.clone();
+                color.lerp(OCEAN_COLOR, 0.3 + Math.random() * 0.3);
+                surfaceTypes[i] = SURFACE_OCEAN;
             }
         }
 
@@ -186,7 +470,10 @@ function createEarthParticleSystem() {
         sizeAttenuation: true
     });
 
-    return new THREE.Points(geometry, material);
+    const points = new THREE.Points(geometry, material);
+    points.userData.surfaceTypes = surfaceTypes;
+
+    return points;
 }
 
 /**
@@ -339,30 +626,316 @@ function setupMouseControls() {
     canvas.addEventListener('wheel', (e) => {
         e.preventDefault();
         targetScale += e.deltaY * -0.001;
-        targetScale = Math.max(0.3, Math.min(2, targetScale));
+        targetScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, targetScale));
     });
 }
 
 /**
  * Handle pinch gesture for zoom
- * @param {number} pinchDistance - Current pinch distance
- * @param {number} prevPinchDistance - Previous pinch distance
+ * @param {number} pinchDistance - Current pinch distance, in hand scales
+ * @param {number} prevPinchDistance - Previous pinch distance, in hand scales
  */
 export function handlePinchZoom(pinchDistance, prevPinchDistance) {
     if (prevPinchDistance > 0) {
         const delta = pinchDistance - prevPinchDistance;
-        targetScale += delta * 5;
-        targetScale = Math.max(0.3, Math.min(2, targetScale));
+        targetScale += delta * PINCH_ZOOM_SENSITIVITY;
+        targetScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, targetScale));
     }
 }
 
 /**
  * Handle wave gesture for rotation
- * @param {number} velocity - Wave velocity
+ * @param {number} velocity - Wave velocity, in hand scales per second
  * @param {number} direction - Wave direction (-1 left, 1 right)
  */
 export function handleWaveRotation(velocity, direction) {
-    earthRotation.y += velocity * direction * 0.5;
+    earthRotation.y += velocity * direction * WAVE_ROTATION_SENSITIVITY;
+}
+
+/**
+ * Place a palm in camera space, in hand lengths
+ * Apparent hand size gives the depth, so turning the hands toward or away
+ * from the camera rotates the grab line in depth too
+ * @param {{x: number, y: number}} palm - Palm center, normalized
+ * @param {number} scale - Hand scale from gestures.js
+ * @returns {THREE.Vector3}
+ */
+function getGrabPoint(palm, scale) {
+    return new THREE.Vector3(
+        (0.5 - palm.x) / scale, // Mirror for selfie
+        (0.5 - palm.y) / scale,
+        -GRAB_FOCAL_LENGTH / scale
+    );
+}
+
+/**
+ * Measure both hands for the two-hand grab
+ * @param {Object} state - Gesture state
+ * @returns {{span: number, direction: THREE.Vector3, center: {x: number, y: number}, scale: number}}
+ *   span is the hands' distance in hand scales, direction the left-to-right line
+ */
+function measureGrab(state) {
+    const scale = (state.left.scale + state.right.scale) / 2;
+    const left = getGrabPoint(state.left.palm, state.left.scale);
+    const right = getGrabPoint(state.right.palm, state.right.scale);
+
+    return {
+        span: state.handsDistance / scale,
+        direction: right.sub(left).normalize(),
+        center: {
+            x: (state.left.palm.x + state.right.palm.x) / 2,
+            y: (state.left.palm.y + state.right.palm.y) / 2
+        },
+        scale
+    };
+}
+
+/**
+ * Grab, move and release the main Earth with a two-hand pinch
+ * @param {Object} state - Gesture state
+ * @param {THREE.Camera} camera - Camera the hands are seen through
+ */
+function updateTwoHandGrab(state, camera) {
+    const pinching = state.left.pinch.isPinching && state.right.pinch.isPinching &&
+        state.left.palm && state.right.palm && state.left.scale > 0 && state.right.scale > 0;
+
+    if (!pinching || !earthGroup || !earthGroup.visible) {
+        if (grab) releaseGrab();
+        return;
+    }
+
+    const hands = measureGrab(state);
+
+    if (!grab) {
+        // Keep the Earth where it is relative to the point between the hands
+        const anchor = toWorldSpace(hands.center.x, hands.center.y, earthGroup.position.z, camera);
+        grab = {
+            start: hands,
+            direction: hands.direction,
+            startScale: targetScale,
+            startDepth: earthGroup.position.z,
+            offset: earthGroup.position.clone().sub(anchor)
+        };
+        zoomHand = null;
+        spin = null;
+        console.log('[JARVIS] Earth grabbed');
+        return;
+    }
+
+    // Scale with the distance between the hands
+    if (grab.start.span > 0) {
+        targetScale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, grab.startScale * hands.span / grab.start.span));
+    }
+
+    // Rotate by how the line between the hands turned since the last frame
+    const turn = new THREE.Quaternion().setFromUnitVectors(grab.direction, hands.direction);
+    earthGroup.quaternion.premultiply(turn);
+    grab.direction = hands.direction;
+
+    // Carry the Earth with the hands, closer as they grow in view
+    const depth = Math.max(GRAB_DEPTH_RANGE[0], Math.min(GRAB_DEPTH_RANGE[1],
+        grab.startDepth * grab.start.scale / hands.scale));
+    const anchor = toWorldSpace(hands.center.x, hands.center.y, depth, camera);
+    earthGroup.position.copy(anchor).add(grab.offset.clone().multiplyScalar(depth / grab.startDepth));
+}
+
+/**
+ * Find where a palm points at the main Earth's depth, if it is over the globe
+ * @param {{x: number, y: number}} palm - Palm center, normalized
+ * @param {THREE.Camera} camera - Camera the hands are seen through
+ * @returns {THREE.Vector3|null} World point, null when off the globe
+ */
+function getGlobePoint(palm, camera) {
+    const point = toWorldSpace(palm.x, palm.y, earthGroup.position.z, camera);
+    const dx = point.x - earthGroup.position.x;
+    const dy = point.y - earthGroup.position.y;
+    const radius = EARTH_RADIUS * earthGroup.scale.x * SPIN_HIT_MARGIN;
+
+    return dx * dx + dy * dy <= radius * radius ? point : null;
+}
+
+/**
+ * Latch onto the globe when the bound gesture starts over it
+ * @param {Object} event - Gesture start event from bindings.js
+ * @param {THREE.Camera} camera - Camera the hands are seen through
+ */
+function startSpin({ trackedHand, gesture, state, timestamp }, camera) {
+    if (spin || grab || isDualMode || !earthGroup || !earthGroup.visible) return;
+
+    const palm = state[trackedHand] && state[trackedHand].palm;
+    const point = palm && getGlobePoint(palm, camera);
+    if (!point) return;
+
+    spin = { hand: trackedHand, gesture, point, time: timestamp, velocity: { x: 0, y: 0 } };
+
+    // Holding the globe stops it
+    earthRotation.y = 0;
+    tiltMomentum = 0;
+}
+
+/**
+ * Turn the latched globe with the palm, like a trackball
+ * @param {Object} state - Gesture state
+ * @param {number} timestamp - Current time in ms
+ * @param {THREE.Camera} camera - Camera the hands are seen through
+ */
+function updateSpin(state, timestamp, camera) {
+    if (!spin) return;
+
+    const palm = state[spin.hand].palm;
+    if (!palm || grab || isDualMode || !earthGroup.visible) {
+        spin = null;
+        return;
+    }
+
+    const point = toWorldSpace(palm.x, palm.y, earthGroup.position.z, camera);
+    const radius = EARTH_RADIUS * earthGroup.scale.x;
+
+    // Surface under the palm follows it: right spins around y, up tilts back
+    const angleY = (point.x - spin.point.x) / radius;
+    const angleX = -(point.y - spin.point.y) / radius;
+    earthGroup.rotation.y += angleY;
+    earthRotation.x += angleX;
+
+    const dt = (timestamp - spin.time) / 1000;
+    if (dt > 0) {
+        spin.velocity.x += (angleX / dt - spin.velocity.x) * SPIN_VELOCITY_SMOOTHING;
+        spin.velocity.y += (angleY / dt - spin.velocity.y) * SPIN_VELOCITY_SMOOTHING;
+    }
+
+    spin.point = point;
+    spin.time = timestamp;
+}
+
+/**
+ * Let go of the globe, flinging it with the palm's last angular velocity
+ * @param {Object} event - Gesture end event from bindings.js
+ */
+function endSpin({ trackedHand, gesture }) {
+    if (!spin || spin.hand !== trackedHand || spin.gesture !== gesture) return;
+
+    // Convert rad/s to the per-frame momentum updateEarth applies and decays
+    earthRotation.y = spin.velocity.y * MOMENTUM_FRAME_TIME / MOMENTUM_RATE;
+    tiltMomentum = spin.velocity.x * MOMENTUM_FRAME_TIME / MOMENTUM_RATE;
+    spin = null;
+}
+
+/**
+ * End the two-hand grab, leaving the Earth where it was put
+ */
+function releaseGrab() {
+    grab = null;
+
+    // updateEarth drives x rotation from earthRotation; pick up the grabbed orientation
+    earthRotation.x = earthGroup.rotation.x;
+    earthRotation.y = 0;
+    tiltMomentum = 0;
+    console.log('[JARVIS] Earth released');
+}
+
+/**
+ * Get the Earth a hand controls: the main Earth, or the matching side in dual mode
+ * @param {'left'|'right'|'both'} hand - Which hand
+ * @returns {THREE.Group|null}
+ */
+function getEarthForHand(hand) {
+    if (!isDualMode) return earthGroup;
+    if (hand === 'left') return leftEarth;
+    if (hand === 'right') return rightEarth;
+    return null;
+}
+
+/**
+ * Register Earth reactions to hand presence and the Earth gesture actions
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {THREE.TextureLoader} textureLoader - Texture loader
+ * @param {THREE.Camera} camera - Camera the hands are seen through
+ */
+export function bindEarthGestures(scene, textureLoader, camera) {
+    // Two hands spawn dual Earths, a single hand merges them back after the cooldown
+    on('frame', ({ state, timestamp }) => {
+        if (spin && timestamp - spin.time > SPIN_STALE_MS) spin = null;
+
+        if (getTwoHandMode() === 'grab') {
+            if (isDualMode) mergeEarths(scene);
+            updateTwoHandGrab(state, camera);
+            return;
+        }
+        if (grab) releaseGrab();
+
+        if (state.bothHands.detected && !isDualMode && dualEarthCooldown <= 0) {
+            spawnDualEarths(scene, textureLoader);
+            dualEarthCooldown = DUAL_EARTH_COOLDOWN_FRAMES;
+        }
+        dualEarthCooldown = Math.max(0, dualEarthCooldown - 1);
+
+        const oneHand = state.left.detected !== state.right.detected;
+        if (isDualMode && oneHand && dualEarthCooldown <= 0) {
+            mergeEarths(scene);
+        }
+    });
+
+    // Actions that gestures can be bound to, see bindings.js for the defaults
+    registerAction('converge', {
+        label: 'Converge particles',
+        active: ({ hand }) => convergeParticles(getEarthForHand(hand), 0.8)
+    });
+
+    registerAction('disperse', {
+        label: 'Disperse particles',
+        active: ({ hand }) => disperseParticles(getEarthForHand(hand), 0.5)
+    });
+
+    // Zoom follows the pinch distance of the first hand to start zooming
+    registerAction('zoom', {
+        label: 'Zoom',
+        start: ({ hand }) => {
+            if (zoomHand) return;
+            zoomHand = hand;
+            previousPinchDistance = 0;
+        },
+        active: ({ hand, data }) => {
+            if (isDualMode || grab || spin || hand !== zoomHand || data.distance === undefined) return;
+            handlePinchZoom(data.distance, previousPinchDistance);
+            previousPinchDistance = data.distance;
+        },
+        end: ({ hand }) => {
+            if (hand !== zoomHand) return;
+            zoomHand = null;
+            previousPinchDistance = 0;
+        }
+    });
+
+    registerAction('rotate', {
+        label: 'Rotate',
+        active: ({ hand, data }) => {
+            if (data.velocity === undefined || grab || spin) return;
+
+            if (!isDualMode) {
+                handleWaveRotation(data.velocity, -data.direction);
+                return;
+            }
+
+            const earth = getEarthForHand(hand);
+            if (earth) earth.rotation.y += data.velocity * DUAL_WAVE_ROTATION_SENSITIVITY;
+        }
+    });
+
+    // The globe spins only when the gesture starts over it, so spin suits the grab table
+    registerAction('spin', {
+        label: 'Grab & spin',
+        start: event => startSpin(event, camera),
+        active: ({ trackedHand, gesture, state, timestamp }) => {
+            if (!spin || spin.hand !== trackedHand || spin.gesture !== gesture) return;
+            updateSpin(state, timestamp, camera);
+        },
+        end: endSpin
+    });
+
+    registerAction('merge', {
+        label: 'Merge Earths',
+        start: () => mergeEarths(scene)
+    });
 }
 
 /**
@@ -561,10 +1134,15 @@ export function updateEarth(deltaTime) {
 
     // Update single Earth
     if (earthGroup && earthGroup.visible) {
-        earthGroup.rotation.x = earthRotation.x;
-        earthGroup.rotation.y += deltaTime * 0.1; // Auto rotation
-        earthGroup.rotation.y += earthRotation.y * 0.02;
-        earthRotation.y *= 0.95; // Decay rotation momentum
+        // A grabbed Earth turns only with the hands
+        if (!grab) {
+            earthRotation.x += tiltMomentum * MOMENTUM_RATE;
+            tiltMomentum *= MOMENTUM_DECAY;
+            earthGroup.rotation.x = earthRotation.x;
+            if (!spin) earthGroup.rotation.y += deltaTime * 0.1; // Auto rotation
+            earthGroup.rotation.y += earthRotation.y * MOMENTUM_RATE;
+            earthRotation.y *= MOMENTUM_DECAY; // Decay rotation momentum
+        }
 
         earthGroup.scale.setScalar(earthScale);
 
@@ -652,14 +1230,34 @@ function updateParticles(earth, deltaTime) {
 
 /**
  * Get current Earth mode
- * @returns {string} 'SINGLE', 'DUAL', or 'MERGING'
+ * @returns {string} 'SINGLE', 'SPINNING', 'GRABBED', 'DUAL', or 'MERGING'
  */
 export function getEarthMode() {
+    if (grab) return 'GRABBED';
+    if (spin) return 'SPINNING';
     if (isMerging) return 'MERGING';
     if (isDualMode) return 'DUAL';
     return 'SINGLE';
 }
 
+/**
+ * Get the Earths currently on screen
+ * @returns {THREE.Group[]} The main Earth, or both dual Earths
+ */
+export function getEarthInstances() {
+    if (isDualMode) return [leftEarth, rightEarth].filter(Boolean);
+    return earthGroup && earthGroup.visible ? [earthGroup] : [];
+}
+
+/**
+ * Get an Earth's globe radius in world units
+ * @param {THREE.Group} earth - Earth group
+ * @returns {number}
+ */
+export function getEarthRadius(earth) {
+    return EARTH_RADIUS * earth.getWorldScale(new THREE.Vector3()).x;
+}
+
 /**
  * Check if in dual mode
  * @returns {boolean}
@@ -0,0 +1,149 @@
+/**
+ * JARVIS AR - Errors Module
+ * Turns startup and runtime failures into user-facing error states
+ *
+ * Startup stages tag their errors (tagError) so failures that look alike,
+ * such as a rejected fetch for a model versus a camera that is in use,
+ * get different messages and recovery advice.
+ */
+
+export const ERROR_STATES = {
+    insecure: {
+        title: 'SECURE CONNECTION REQUIRED',
+        message: 'Camera access needs HTTPS or localhost. Reopen the app over a secure connection.'
+    },
+    permission: {
+        title: 'CAMERA ACCESS DENIED',
+        message: 'Allow camera access for this site in your browser settings, then retry.'
+    },
+    noDevice: {
+        title: 'NO CAMERA FOUND',
+        message: 'Connect a webcam, then retry. Without a camera, start with ?video= or ?tracker=synthetic.'
+    },
+    deviceBusy: {
+        title: 'CAMERA IN USE',
+        message: 'Another application is using the camera. Close it, then retry.'
+    },
+    overconstrained: {
+        title: 'CAMERA SETTINGS UNSUPPORTED',
+        message: 'The saved camera or resolution is not available. Retry to use the default camera.'
+    },
+    models: {
+        title: 'TRACKING FAILED TO LOAD',
+        message: 'Tracking models or recordings could not be downloaded. Check the network connection, then retry.'
+    },
+    webgl: {
+        title: 'WEBGL UNAVAILABLE',
+        message: 'This browser could not start 3D rendering. Enable hardware acceleration, then retry.'
+    },
+    timeout: {
+        title: 'STARTUP STALLED',
+        message: 'A startup step stopped making progress. Check the network connection, then retry.'
+    },
+    playBlocked: {
+        title: 'CLICK TO START',
+        message: 'The browser blocked video playback until the page is used. Press RETRY to start the video.'
+    },
+    cameraLost: {
+        title: 'CAMERA DISCONNECTED',
+        message: 'Reconnect the camera. Tracking resumes automatically when it returns.'
+    },
+    unknown: {
+        title: 'STARTUP FAILED',
+        message: 'Something went wrong while starting. Check the console for details, then retry.'
+    }
+};
+
+// getUserMedia error names, including legacy Chrome and Firefox aliases
+const CAMERA_ERROR_STATES = {
+    NotAllowedError: 'permission',
+    PermissionDeniedError: 'permission',
+    SecurityError: 'permission',
+    NotFoundError: 'noDevice',
+    DevicesNotFoundError: 'noDevice',
+    NotReadableError: 'deviceBusy',
+    TrackStartError: 'deviceBusy',
+    AbortError: 'deviceBusy',
+    OverconstrainedError: 'overconstrained',
+    ConstraintNotSatisfiedError: 'overconstrained',
+    InsecureContextError: 'insecure',
+    PlaybackBlockedError: 'playBlocked'
+};
+
+/**
+ * Record which startup stage an error came from
+ * @param {Error} error - Error to tag
+ * @param {'webgl'|'camera'|'tracking'} stage
+ * @returns {Error} The same error
+ */
+export function tagError(error, stage) {
+    if (error && typeof error === 'object' && !error.stage) {
+        error.stage = stage;
+    }
+    return error;
+}
+
+/**
+ * Run a startup stage, tagging anything it throws
+ * @param {'webgl'|'camera'|'tracking'} stage
+ * @param {Function} task - Sync or async work
+ * @returns {Promise<*>} The task's result
+ */
+export async function runStage(stage, task) {
+    try {
+        return await task();
+    } catch (error) {
+        throw tagError(error, stage);
+    }
+}
+
+/**
+ * Error thrown when camera APIs are missing because the page is not a secure context
+ * @returns {Error}
+ */
+export function createInsecureContextError() {
+    const error = new Error('Camera access requires a secure context (HTTPS or localhost)');
+    error.name = 'InsecureContextError';
+    return error;
+}
+
+/**
+ * Error thrown when the browser's autoplay policy refuses to play the video source
+ * @returns {Error}
+ */
+export function createPlaybackBlockedError() {
+    const error = new Error('Video playback was blocked until the user interacts with the page');
+    error.name = 'PlaybackBlockedError';
+    return error;
+}
+
+/**
+ * Error thrown when a startup stage makes no progress for its timeout
+ * @param {string} stage - Startup stage id
+ * @param {string} label - Readable stage name
+ * @param {number} timeout - ms without progress
+ * @returns {Error}
+ */
+export function createStageTimeoutError(stage, label, timeout) {
+    const error = new Error(`${label} made no progress for ${Math.round(timeout / 1000)} s`);
+    error.name = 'StageTimeoutError';
+    error.startupStage = stage;
+    return error;
+}
+
+/**
+ * Pick the error state for a failure
+ * @param {Error} error - Tagged error
+ * @returns {string} Key of ERROR_STATES
+ */
+export function classifyError(error) {
+    const stage = error && error.stage;
+
+    // A stall is reported as such whatever stage it happened in
+    if (error && error.name === 'StageTimeoutError') return 'timeout';
+    if (stage === 'webgl') return 'webgl';
+    if (stage === 'tracking') return 'models';
+    if (stage === 'camera') return CAMERA_ERROR_STATES[error.name] || 'unknown';
+
+    return 'unknown';
+}
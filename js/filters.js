@@ -0,0 +1,199 @@
+/**
+ * JARVIS AR - Filters Module
+ * One Euro smoothing for tracked landmarks
+ *
+ * The One Euro filter is a low-pass filter whose cutoff rises with speed:
+ * slow movements are smoothed heavily (no jitter), fast movements pass
+ * through with little lag. See Casiez et al., CHI 2012.
+ */
+
+import { createSettingsRow } from './settings.js';
+
+const STORAGE_KEY = 'jarvis.smoothing';
+
+export const DEFAULT_SMOOTHING = {
+    enabled: true,
+    minCutoff: 1.5, // Hz, cutoff when still; lower = smoother
+    beta: 10,       // Cutoff increase per unit/second of speed; higher = less lag
+    dCutoff: 1.0    // Hz, cutoff for the speed estimate
+};
+
+// Shared by every landmark filter so tuning applies immediately
+const smoothing = { ...DEFAULT_SMOOTHING };
+
+/**
+ * Exponential smoothing factor for a cutoff frequency
+ * @param {number} elapsed - Seconds since the previous sample
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @returns {number} Alpha in 0-1
+ */
+function smoothingFactor(elapsed, cutoff) {
+    const r = 2 * Math.PI * cutoff * elapsed;
+    return r / (r + 1);
+}
+
+/**
+ * Create a One Euro filter for a single value
+ * @param {Object} params - Live {minCutoff, beta, dCutoff} settings, read on every sample
+ * @returns {{filter: Function, reset: Function}}
+ */
+export function createOneEuroFilter(params = smoothing) {
+    let previousValue = null;
+    let previousDerivative = 0;
+    let previousTime = 0;
+
+    return {
+        /**
+         * @param {number} value - New sample
+         * @param {number} timestamp - Sample time in ms
+         * @returns {number} Filtered value
+         */
+        filter(value, timestamp) {
+            if (previousValue === null) {
+                previousValue = value;
+                previousTime = timestamp;
+                return value;
+            }
+
+            const elapsed = (timestamp - previousTime) / 1000;
+            if (elapsed <= 0) {
+                return previousValue;
+            }
+
+            const derivative = (value - previousValue) / elapsed;
+            const dAlpha = smoothingFactor(elapsed, params.dCutoff);
+            const smoothedDerivative = previousDerivative + dAlpha * (derivative - previousDerivative);
+
+            const cutoff = params.minCutoff + params.beta * Math.abs(smoothedDerivative);
+            const alpha = smoothingFactor(elapsed, cutoff);
+            const smoothed = previousValue + alpha * (value - previousValue);
+
+            previousValue = smoothed;
+            previousDerivative = smoothedDerivative;
+            previousTime = timestamp;
+
+            return smoothed;
+        },
+
+        reset() {
+            previousValue = null;
+            previousDerivative = 0;
+        }
+    };
+}
+
+/**
+ * Create a filter for a landmark array, one One Euro filter per coordinate
+ * @returns {{apply: Function, reset: Function}}
+ */
+export function createLandmarkFilter() {
+    let filters = [];
+
+    return {
+        /**
+         * @param {Array<{x: number, y: number, z: number}>} landmarks - Raw landmarks
+         * @param {number} timestamp - Sample time in ms
+         * @returns {Array<{x: number, y: number, z: number}>} Filtered copy, or the input when disabled
+         */
+        apply(landmarks, timestamp) {
+            if (!smoothing.enabled) {
+                return landmarks;
+            }
+
+            while (filters.length < landmarks.length) {
+                filters.push({
+                    x: createOneEuroFilter(),
+                    y: createOneEuroFilter(),
+                    z: createOneEuroFilter()
+                });
+            }
+
+            return landmarks.map((point, i) => ({
+                x: filters[i].x.filter(point.x, timestamp),
+                y: filters[i].y.filter(point.y, timestamp),
+                z: filters[i].z.filter(point.z || 0, timestamp)
+            }));
+        },
+
+        reset() {
+            filters = [];
+        }
+    };
+}
+
+/**
+ * Get the current smoothing settings
+ * @returns {Object}
+ */
+export function getSmoothingParams() {
+    return { ...smoothing };
+}
+
+/**
+ * Update smoothing settings; running filters pick them up on the next sample
+ * @param {Object} params - Any of enabled, minCutoff, beta, dCutoff
+ * @param {boolean} persist - Save to localStorage
+ */
+export function setSmoothingParams(params, persist = true) {
+    Object.keys(DEFAULT_SMOOTHING).forEach(key => {
+        if (params[key] !== undefined) {
+            smoothing[key] = key === 'enabled' ? !!params[key] : Number(params[key]);
+        }
+    });
+
+    if (!persist) return;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(smoothing));
+    } catch (error) {
+        console.warn('[JARVIS] Could not save smoothing settings:', error);
+    }
+}
+
+/**
+ * Load saved smoothing settings
+ */
+export function initSmoothing() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) setSmoothingParams(stored, false);
+    } catch (error) {
+        console.warn('[JARVIS] Ignoring unreadable smoothing settings:', error);
+    }
+}
+
+/**
+ * Build the smoothing controls in a settings section
+ * @param {HTMLElement} container - Section body to render into
+ */
+export function renderSmoothingSettings(container) {
+    container.innerHTML = '';
+
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = smoothing.enabled;
+    enabledInput.addEventListener('change', () => setSmoothingParams({ enabled: enabledInput.checked }));
+    container.appendChild(createSettingsRow('ENABLED', enabledInput));
+
+    const sliders = [
+        { key: 'minCutoff', label: 'MIN CUTOFF', min: 0.1, max: 5, step: 0.1 },
+        { key: 'beta', label: 'BETA', min: 0, max: 50, step: 0.5 },
+        { key: 'dCutoff', label: 'D CUTOFF', min: 0.1, max: 5, step: 0.1 }
+    ];
+
+    sliders.forEach(({ key, label, min, max, step }) => {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'settings-input';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = smoothing[key];
+        input.title = String(smoothing[key]);
+        input.addEventListener('input', () => {
+            setSmoothingParams({ [key]: input.value });
+            input.title = input.value;
+        });
+        container.appendChild(createSettingsRow(label, input));
+    });
+}
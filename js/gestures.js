@@ -4,12 +4,44 @@
  */
 
 // Gesture thresholds
-const PINCH_THRESHOLD = 0.06;         // Distance for pinch detection
-const WAVE_VELOCITY_THRESHOLD = 0.02; // Minimum velocity for wave
+// Pinch and wave are measured in hand scales (see getHandScale) so they hold at any camera distance
+const PINCH_THRESHOLD = 0.5;          // Thumb-index distance for pinch detection, in hand scales
+const WAVE_VELOCITY_THRESHOLD = 0.17; // Minimum velocity for wave, in hand scales per second
 const SPREAD_THRESHOLD = 0.3;         // Distance between hands for spread
 const CONVERGE_THRESHOLD = 0.15;      // Distance for converge
 const SAME_LOCATION_THRESHOLD = 0.12; // Proximity for same location
 const GRASP_THRESHOLD = 0.08;         // Finger curl threshold
+const GRASP_CURL_FACTOR = 1.2;        // Tip within this factor of MCP-to-wrist counts as curled
+const OPEN_EXTEND_FACTOR = 1.1;       // Tip beyond this factor of PIP-to-wrist counts as extended
+
+// Exit thresholds: an active gesture ends only once it is clearly released
+const PINCH_EXIT_THRESHOLD = 0.67;
+const WAVE_EXIT_VELOCITY = 0.125;
+const SAME_LOCATION_EXIT_THRESHOLD = 0.16;
+const GRASP_CURL_EXIT_FACTOR = 1.35;
+const OPEN_EXTEND_EXIT_FACTOR = 1.0;
+
+// Per-user thresholds, defaults replaced by a calibration profile
+const DEFAULT_THRESHOLDS = {
+    pinch: PINCH_THRESHOLD,
+    pinchExit: PINCH_EXIT_THRESHOLD,
+    waveVelocity: WAVE_VELOCITY_THRESHOLD,
+    waveExitVelocity: WAVE_EXIT_VELOCITY,
+    graspCurl: GRASP_CURL_FACTOR,
+    graspCurlExit: GRASP_CURL_EXIT_FACTOR,
+    openExtend: OPEN_EXTEND_FACTOR,
+    openExtendExit: OPEN_EXTEND_EXIT_FACTOR
+};
+let thresholds = { ...DEFAULT_THRESHOLDS };
+
+// Minimum time (ms) a gesture must be held before it starts, and released before it ends
+const GESTURE_TIMING = {
+    pinch: { hold: 60, release: 100 },
+    fist: { hold: 120, release: 150 },
+    open: { hold: 120, release: 150 },
+    wave: { hold: 0, release: 200 },
+    clasp: { hold: 200, release: 200 }
+};
 
 // History for velocity tracking
 const handHistory = {
@@ -18,6 +50,66 @@ const handHistory = {
 };
 const HISTORY_LENGTH = 5;
 
+// Lifecycle tracks for the stateful recognizer
+const gestureTracks = {
+    left: createHandTracks(),
+    right: createHandTracks(),
+    both: { clasp: createTrack() }
+};
+
+// HUD labels of the default gesture bindings, see getGestureLabels in bindings.js
+const DEFAULT_ACTION_LABELS = {
+    fist: 'CONVERGE',
+    open: 'DISPERSE',
+    pinch: 'ZOOM',
+    wave: 'ROTATE',
+    clasp: 'MERGE'
+};
+
+// Gesture event subscribers keyed by event name
+const listeners = new Map();
+let lastGestureState = {};
+
+// Time source for velocity tracking (milliseconds), replaceable for deterministic runs
+let now = () => Date.now();
+
+/**
+ * Override gesture thresholds, e.g. from a calibration profile
+ * @param {Object|null} overrides - Keys of DEFAULT_THRESHOLDS, null restores the defaults
+ */
+export function setGestureThresholds(overrides) {
+    thresholds = { ...DEFAULT_THRESHOLDS, ...(overrides || {}) };
+}
+
+/**
+ * Get the active gesture thresholds
+ * @returns {Object} Copy of the thresholds
+ */
+export function getGestureThresholds() {
+    return { ...thresholds };
+}
+
+/**
+ * Replace the clock used for gesture timing
+ * @param {Function|null} clock - Returns the current time in milliseconds, null restores Date.now
+ */
+export function setGestureClock(clock) {
+    now = clock || (() => Date.now());
+}
+
+/**
+ * Clear the per-hand movement history used by wave detection
+ * @param {'left'|'right'} [handType] - Hand to reset, both when omitted
+ */
+export function resetGestureHistory(handType) {
+    if (handType) {
+        handHistory[handType].length = 0;
+        return;
+    }
+    handHistory.left.length = 0;
+    handHistory.right.length = 0;
+}
+
 /**
  * Calculate distance between two 3D points
  * @param {Object} p1 - First point {x, y, z}
@@ -48,7 +140,7 @@ function distance2D(p1, p2) {
  * @param {Array} landmarks - 21 hand landmarks
  * @returns {{x: number, y: number, z: number}}
  */
-function getPalmCenter(landmarks) {
+export function getPalmCenter(landmarks) {
     // Average of wrist and base of fingers
     const indices = [0, 5, 9, 13, 17];
     let x = 0, y = 0, z = 0;
@@ -64,25 +156,46 @@ function getPalmCenter(landmarks) {
     };
 }
 
+/**
+ * Get the apparent hand size: wrist to middle finger MCP distance
+ * Shrinks as the hand moves away from the camera, so dividing by it makes
+ * features independent of depth. Uses z so tilting the palm barely changes it.
+ * @param {Array} landmarks - 21 hand landmarks
+ * @returns {number} Hand size in normalized image units, 0 without a hand
+ */
+export function getHandScale(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+        return 0;
+    }
+
+    return distance3D(landmarks[0], landmarks[9]);
+}
+
 /**
  * Detect pinch gesture (thumb and index finger close together)
  * @param {Array} landmarks - 21 hand landmarks
- * @returns {{isPinching: boolean, distance: number}}
+ * @returns {{isPinching: boolean, distance: number, rawDistance: number, scale: number}}
+ *   distance is in hand scales, rawDistance in normalized image units
  */
 export function detectPinch(landmarks) {
-    if (!landmarks || landmarks.length < 21) {
-        return { isPinching: false, distance: 1 };
+    const scale = getHandScale(landmarks);
+
+    if (scale <= 0) {
+        return { isPinching: false, distance: 1, rawDistance: 1, scale: 0 };
     }
 
     // Thumb tip (4) and index finger tip (8)
     const thumbTip = landmarks[4];
     const indexTip = landmarks[8];
 
-    const dist = distance3D(thumbTip, indexTip);
+    const rawDistance = distance3D(thumbTip, indexTip);
+    const dist = rawDistance / scale;
 
     return {
-        isPinching: dist < PINCH_THRESHOLD,
-        distance: dist
+        isPinching: dist < thresholds.pinch,
+        distance: dist,
+        rawDistance,
+        scale
     };
 }
 
@@ -90,10 +203,14 @@ export function detectPinch(landmarks) {
  * Detect wave gesture (horizontal hand movement)
  * @param {Array} landmarks - Current hand landmarks
  * @param {'left'|'right'} handType - Which hand
+ * @param {number} timestamp - Current time in ms
  * @returns {{isWaving: boolean, velocity: number, direction: number}}
+ *   velocity is in hand scales per second
  */
-export function detectWave(landmarks, handType) {
-    if (!landmarks || landmarks.length < 21) {
+export function detectWave(landmarks, handType, timestamp = now()) {
+    const scale = getHandScale(landmarks);
+
+    if (scale <= 0) {
         return { isWaving: false, velocity: 0, direction: 0 };
     }
 
@@ -101,7 +218,7 @@ export function detectWave(landmarks, handType) {
     const palmCenter = getPalmCenter(landmarks);
 
     // Add to history
-    history.push({ x: palmCenter.x, y: palmCenter.y, time: Date.now() });
+    history.push({ x: palmCenter.x, y: palmCenter.y, scale, time: timestamp });
 
     // Keep history limited
     while (history.length > HISTORY_LENGTH) {
@@ -121,11 +238,13 @@ export function detectWave(landmarks, handType) {
         return { isWaving: false, velocity: 0, direction: 0 };
     }
 
-    const xVelocity = (newest.x - oldest.x) / timeDelta;
+    // Normalize by the average hand scale over the window
+    const averageScale = history.reduce((sum, entry) => sum + entry.scale, 0) / history.length;
+    const xVelocity = (newest.x - oldest.x) / averageScale / timeDelta;
     const absVelocity = Math.abs(xVelocity);
 
     return {
-        isWaving: absVelocity > WAVE_VELOCITY_THRESHOLD,
+        isWaving: absVelocity > thresholds.waveVelocity,
         velocity: absVelocity,
         direction: Math.sign(xVelocity) // -1 = left, 1 = right
     };
@@ -135,9 +254,10 @@ export function detectWave(landmarks, handType) {
  * Check if both hands are in the same location
  * @param {Array} leftLandmarks - Left hand landmarks
  * @param {Array} rightLandmarks - Right hand landmarks
+ * @param {number} threshold - Maximum palm distance
  * @returns {boolean}
  */
-export function isSameLocation(leftLandmarks, rightLandmarks) {
+export function isSameLocation(leftLandmarks, rightLandmarks, threshold = SAME_LOCATION_THRESHOLD) {
     if (!leftLandmarks || !rightLandmarks) {
         return false;
     }
@@ -145,7 +265,7 @@ export function isSameLocation(leftLandmarks, rightLandmarks) {
     const leftPalm = getPalmCenter(leftLandmarks);
     const rightPalm = getPalmCenter(rightLandmarks);
 
-    return distance2D(leftPalm, rightPalm) < SAME_LOCATION_THRESHOLD;
+    return distance2D(leftPalm, rightPalm) < threshold;
 }
 
 /**
@@ -212,16 +332,12 @@ export function detectConverge(leftLandmarks, rightLandmarks, previousDistance)
 }
 
 /**
- * Check if a hand is in a grasping/fist position
- * @param {Array} landmarks - Hand landmarks
- * @returns {boolean}
+ * Measure how far each finger is curled
+ * Ratio of tip-to-wrist over MCP-to-wrist distance; below ~1.2 the finger is curled
+ * @param {Array} landmarks - 21 hand landmarks
+ * @returns {Array<number>} Ratios for index, middle, ring and pinky
  */
-export function isGrasping(landmarks) {
-    if (!landmarks || landmarks.length < 21) {
-        return false;
-    }
-
-    // Check if all fingers are curled
+export function getFingerCurlRatios(landmarks) {
     // Compare fingertips to their base joints
     const fingerChecks = [
         [8, 5],   // Index: tip vs MCP
@@ -230,59 +346,78 @@ export function isGrasping(landmarks) {
         [20, 17]  // Pinky: tip vs MCP
     ];
 
-    let curledCount = 0;
+    return fingerRatios(landmarks, fingerChecks);
+}
 
-    for (const [tipIdx, baseIdx] of fingerChecks) {
-        const tip = landmarks[tipIdx];
-        const base = landmarks[baseIdx];
-        const wrist = landmarks[0];
+/**
+ * Measure how far each finger is extended
+ * Ratio of tip-to-wrist over PIP-to-wrist distance; above ~1.1 the finger is extended
+ * @param {Array} landmarks - 21 hand landmarks
+ * @returns {Array<number>} Ratios for index, middle, ring and pinky
+ */
+export function getFingerExtensionRatios(landmarks) {
+    // Compare fingertips to their middle joints
+    const fingerChecks = [
+        [8, 6],   // Index: tip vs PIP
+        [12, 10], // Middle: tip vs PIP
+        [16, 14], // Ring: tip vs PIP
+        [20, 18]  // Pinky: tip vs PIP
+    ];
 
-        // Finger is curled if tip is closer to wrist than base
-        const tipToWrist = distance2D(tip, wrist);
-        const baseToWrist = distance2D(base, wrist);
+    return fingerRatios(landmarks, fingerChecks);
+}
 
-        if (tipToWrist < baseToWrist * 1.2) {
-            curledCount++;
-        }
-    }
+/**
+ * Ratio of each fingertip's distance to the wrist over a joint's distance to the wrist
+ * @param {Array} landmarks - 21 hand landmarks
+ * @param {Array<Array<number>>} fingerChecks - [tip index, joint index] pairs
+ * @returns {Array<number>}
+ */
+function fingerRatios(landmarks, fingerChecks) {
+    const wrist = landmarks[0];
 
-    return curledCount >= 3;
+    return fingerChecks.map(([tipIdx, jointIdx]) => {
+        const tipToWrist = distance2D(landmarks[tipIdx], wrist);
+        const jointToWrist = distance2D(landmarks[jointIdx], wrist);
+        return jointToWrist > 0 ? tipToWrist / jointToWrist : 1;
+    });
 }
 
 /**
- * Check if a hand has spread/open fingers
+ * Check if a hand is in a grasping/fist position
  * @param {Array} landmarks - Hand landmarks
+ * @param {number} curlFactor - Curl ratio below which a finger counts as curled
  * @returns {boolean}
  */
-export function isOpenHand(landmarks) {
+export function isGrasping(landmarks, curlFactor = thresholds.graspCurl) {
     if (!landmarks || landmarks.length < 21) {
         return false;
     }
 
-    // Check if fingers are extended (not curled)
-    const fingerChecks = [
-        [8, 6],   // Index: tip vs PIP
-        [12, 10], // Middle: tip vs PIP
-        [16, 14], // Ring: tip vs PIP
-        [20, 18]  // Pinky: tip vs PIP
-    ];
-
-    let extendedCount = 0;
+    // Fist when at least three fingers are curled
+    const curledCount = getFingerCurlRatios(landmarks)
+        .filter(ratio => ratio < curlFactor)
+        .length;
 
-    for (const [tipIdx, pipIdx] of fingerChecks) {
-        const tip = landmarks[tipIdx];
-        const pip = landmarks[pipIdx];
-        const wrist = landmarks[0];
-
-        // Finger is extended if tip is further from wrist than PIP
-        const tipToWrist = distance2D(tip, wrist);
-        const pipToWrist = distance2D(pip, wrist);
+    return curledCount >= 3;
+}
 
-        if (tipToWrist > pipToWrist * 1.1) {
-            extendedCount++;
-        }
+/**
+ * Check if a hand has spread/open fingers
+ * @param {Array} landmarks - Hand landmarks
+ * @param {number} extendFactor - Extension ratio above which a finger counts as extended
+ * @returns {boolean}
+ */
+export function isOpenHand(landmarks, extendFactor = thresholds.openExtend) {
+    if (!landmarks || landmarks.length < 21) {
+        return false;
     }
 
+    // Open when at least three fingers are extended
+    const extendedCount = getFingerExtensionRatios(landmarks)
+        .filter(ratio => ratio > extendFactor)
+        .length;
+
     return extendedCount >= 3;
 }
 
@@ -308,14 +443,15 @@ export function detectGrasp(leftLandmarks, rightLandmarks) {
  * @param {Array} leftLandmarks - Left hand
  * @param {Array} rightLandmarks - Right hand
  * @param {Object} previousState - Previous gesture state
+ * @param {number} timestamp - Current time in ms
  * @returns {Object} Complete gesture state
  */
-export function getGestureState(leftLandmarks, rightLandmarks, previousState = {}) {
-    const leftPinch = leftLandmarks ? detectPinch(leftLandmarks) : { isPinching: false, distance: 1 };
-    const rightPinch = rightLandmarks ? detectPinch(rightLandmarks) : { isPinching: false, distance: 1 };
+export function getGestureState(leftLandmarks, rightLandmarks, previousState = {}, timestamp = now()) {
+    const leftPinch = detectPinch(leftLandmarks);
+    const rightPinch = detectPinch(rightLandmarks);
 
-    const leftWave = detectWave(leftLandmarks, 'left');
-    const rightWave = detectWave(rightLandmarks, 'right');
+    const leftWave = detectWave(leftLandmarks, 'left', timestamp);
+    const rightWave = detectWave(rightLandmarks, 'right', timestamp);
 
     const spread = detectSpread(leftLandmarks, rightLandmarks, previousState.handsDistance || null);
     const converge = detectConverge(leftLandmarks, rightLandmarks, previousState.handsDistance || null);
@@ -328,6 +464,8 @@ export function getGestureState(leftLandmarks, rightLandmarks, previousState = {
     return {
         left: {
             detected: !!leftLandmarks,
+            scale: getHandScale(leftLandmarks),
+            palm: leftLandmarks ? getPalmCenter(leftLandmarks) : null,
             pinch: leftPinch,
             wave: leftWave,
             grasping: isGrasping(leftLandmarks),
@@ -335,6 +473,8 @@ export function getGestureState(leftLandmarks, rightLandmarks, previousState = {
         },
         right: {
             detected: !!rightLandmarks,
+            scale: getHandScale(rightLandmarks),
+            palm: rightLandmarks ? getPalmCenter(rightLandmarks) : null,
             pinch: rightPinch,
             wave: rightWave,
             grasping: isGrasping(rightLandmarks),
@@ -356,32 +496,301 @@ export function getGestureState(leftLandmarks, rightLandmarks, previousState = {
 /**
  * Get gesture name for UI display
  * @param {Object} gestureState - Gesture state from getGestureState
+ * @param {string} twoHandsName - Name shown while both hands are up without another gesture
+ * @param {Object} actionLabels - Bound action label per gesture, null when unbound,
+ *   see getGestureLabels in bindings.js
  * @returns {string} Human-readable gesture name
  */
-export function getGestureName(gestureState) {
+export function getGestureName(gestureState, twoHandsName = 'DUAL EARTH MODE', actionLabels = DEFAULT_ACTION_LABELS) {
+    const label = (prefix, gesture) => actionLabels[gesture] ? `${prefix} - ${actionLabels[gesture]}` : prefix;
+
     // Both hands clasped together (grasping at same location)
     if (gestureState.bothHands.grasping) {
-        return 'CLASPED - MERGE';
+        return label('CLASPED', 'clasp');
     }
 
     // Single hand gestures
     if (gestureState.left.grasping || gestureState.right.grasping) {
-        return 'FIST - CONVERGE';
+        return label('FIST', 'fist');
     }
     if (gestureState.left.open || gestureState.right.open) {
-        return 'OPEN - DISPERSE';
+        return label('OPEN', 'open');
     }
 
-    if (gestureState.bothHands.detected) return 'DUAL EARTH MODE';
+    if (gestureState.bothHands.detected) return twoHandsName;
 
     if (gestureState.left.pinch.isPinching || gestureState.right.pinch.isPinching) {
-        return 'PINCH - ZOOM';
+        return label('PINCH', 'pinch');
     }
     if (gestureState.left.wave.isWaving || gestureState.right.wave.isWaving) {
-        return 'WAVE - ROTATE';
+        return label('WAVE', 'wave');
     }
 
     if (gestureState.left.detected || gestureState.right.detected) return 'HAND DETECTED';
 
     return 'AWAITING INPUT';
 }
+
+/**
+ * Create an inactive gesture lifecycle track
+ * @returns {{active: boolean, since: number, pendingSince: number|null, data: Object|null}}
+ */
+function createTrack() {
+    return { active: false, since: 0, pendingSince: null, data: null };
+}
+
+/**
+ * Create lifecycle tracks for one hand
+ * @returns {Object} Tracks keyed by gesture
+ */
+function createHandTracks() {
+    return {
+        pinch: createTrack(),
+        fist: createTrack(),
+        open: createTrack(),
+        wave: createTrack()
+    };
+}
+
+/**
+ * Advance a gesture track by one frame
+ * A gesture starts after being engaged for the hold time and ends after
+ * being released for the release time, so brief flickers are ignored
+ * @param {Object} track - Gesture track
+ * @param {boolean} engaged - Whether the gesture is engaged this frame
+ * @param {{hold: number, release: number}} timing - Hold and release times in ms
+ * @param {number} timestamp - Current time in ms
+ * @param {Object} data - Gesture measurements for this frame
+ * @returns {'start'|'update'|'end'|null} Lifecycle phase, null while idle
+ */
+function updateTrack(track, engaged, timing, timestamp, data) {
+    if (engaged) {
+        track.data = data;
+    }
+
+    if (!track.active) {
+        if (!engaged) {
+            track.pendingSince = null;
+            return null;
+        }
+
+        if (track.pendingSince === null) {
+            track.pendingSince = timestamp;
+        }
+
+        if (timestamp - track.pendingSince >= timing.hold) {
+            track.active = true;
+            track.since = timestamp;
+            track.pendingSince = null;
+            return 'start';
+        }
+        return null;
+    }
+
+    if (engaged) {
+        track.pendingSince = null;
+        return 'update';
+    }
+
+    if (track.pendingSince === null) {
+        track.pendingSince = timestamp;
+    }
+
+    if (timestamp - track.pendingSince >= timing.release) {
+        track.active = false;
+        track.pendingSince = null;
+        return 'end';
+    }
+    return 'update';
+}
+
+/**
+ * Advance a track and record its lifecycle event
+ * @param {Array} events - Event list to append to
+ * @param {string} gesture - Gesture name
+ * @param {'left'|'right'|'both'} hand - Hand the gesture belongs to
+ * @param {boolean} engaged - Whether the gesture is engaged this frame
+ * @param {number} timestamp - Current time in ms
+ * @param {Object} data - Gesture measurements for this frame
+ */
+function stepGesture(events, gesture, hand, engaged, timestamp, data) {
+    const track = gestureTracks[hand][gesture];
+    const phase = updateTrack(track, engaged, GESTURE_TIMING[gesture], timestamp, data);
+
+    if (phase) {
+        events.push({
+            gesture,
+            hand,
+            phase,
+            timestamp,
+            duration: timestamp - track.since,
+            data: track.data
+        });
+    }
+}
+
+/**
+ * Apply hysteresis and hold times to one hand's raw gesture state
+ * @param {Array} events - Event list to append to
+ * @param {'left'|'right'} hand - Which hand
+ * @param {Array} landmarks - Hand landmarks
+ * @param {Object} rawHand - Raw per-frame hand state from getGestureState
+ * @param {number} timestamp - Current time in ms
+ * @returns {Object} Hand state with stable gesture flags
+ */
+function recognizeHand(events, hand, landmarks, rawHand, timestamp) {
+    const tracks = gestureTracks[hand];
+
+    const pinchEngaged = rawHand.pinch.distance <
+        (tracks.pinch.active ? thresholds.pinchExit : thresholds.pinch);
+
+    const waveEngaged = rawHand.wave.velocity >
+        (tracks.wave.active ? thresholds.waveExitVelocity : thresholds.waveVelocity);
+
+    // Fist and open hand are mutually exclusive: one must end before the other starts
+    const fistEngaged = !tracks.open.active &&
+        isGrasping(landmarks, tracks.fist.active ? thresholds.graspCurlExit : thresholds.graspCurl);
+
+    const openEngaged = !tracks.fist.active && !fistEngaged &&
+        isOpenHand(landmarks, tracks.open.active ? thresholds.openExtendExit : thresholds.openExtend);
+
+    stepGesture(events, 'pinch', hand, pinchEngaged, timestamp, rawHand.pinch);
+    stepGesture(events, 'wave', hand, waveEngaged, timestamp, rawHand.wave);
+    stepGesture(events, 'fist', hand, fistEngaged, timestamp, { landmarks });
+    stepGesture(events, 'open', hand, openEngaged, timestamp, { landmarks });
+
+    return {
+        ...rawHand,
+        pinch: { ...(tracks.pinch.data || rawHand.pinch), isPinching: tracks.pinch.active },
+        wave: { ...(tracks.wave.data || rawHand.wave), isWaving: tracks.wave.active },
+        grasping: tracks.fist.active,
+        open: tracks.open.active
+    };
+}
+
+/**
+ * Stateful gesture recognition with hysteresis, hold times and lifecycle events
+ * The returned state has the same shape as getGestureState, but its gesture
+ * flags only change on stable transitions. While a gesture is releasing its
+ * measurements hold the last engaged values.
+ * @param {Array} leftLandmarks - Left hand
+ * @param {Array} rightLandmarks - Right hand
+ * @param {Object} previousState - Previous gesture state
+ * @param {number} timestamp - Current time in ms
+ * @returns {{state: Object, events: Array<{gesture: string, hand: string, phase: string, timestamp: number, duration: number, data: Object}>}}
+ */
+export function recognizeGestures(leftLandmarks, rightLandmarks, previousState = {}, timestamp = now()) {
+    const raw = getGestureState(leftLandmarks, rightLandmarks, previousState, timestamp);
+    const events = [];
+
+    const left = recognizeHand(events, 'left', leftLandmarks, raw.left, timestamp);
+    const right = recognizeHand(events, 'right', rightLandmarks, raw.right, timestamp);
+
+    const claspTrack = gestureTracks.both.clasp;
+    const claspEngaged = claspTrack.active
+        ? isGrasping(leftLandmarks, thresholds.graspCurlExit) &&
+            isGrasping(rightLandmarks, thresholds.graspCurlExit) &&
+            isSameLocation(leftLandmarks, rightLandmarks, SAME_LOCATION_EXIT_THRESHOLD)
+        : raw.bothHands.grasping;
+
+    stepGesture(events, 'clasp', 'both', claspEngaged, timestamp, { handsDistance: raw.handsDistance });
+
+    return {
+        state: {
+            ...raw,
+            left,
+            right,
+            bothHands: { ...raw.bothHands, grasping: claspTrack.active }
+        },
+        events
+    };
+}
+
+/**
+ * End all recognized gestures without emitting events
+ */
+export function resetGestureRecognizer() {
+    gestureTracks.left = createHandTracks();
+    gestureTracks.right = createHandTracks();
+    gestureTracks.both = { clasp: createTrack() };
+    lastGestureState = {};
+}
+
+/**
+ * Subscribe to a gesture event
+ *
+ * Events for each gesture (pinch, wave, fist, open, clasp):
+ *   '<gesture>start' - once when the gesture becomes stable
+ *   '<gesture>'      - every frame while the gesture is active, including the first
+ *   '<gesture>end'   - once when the gesture is released
+ * Plus 'gesture' for every lifecycle event and 'frame' once per frame.
+ * Handlers receive {gesture, hand, phase, timestamp, duration, data, state};
+ * 'frame' handlers receive {state, timestamp}.
+ * @param {string} eventName - Event to listen for
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function on(eventName, handler) {
+    if (!listeners.has(eventName)) {
+        listeners.set(eventName, new Set());
+    }
+    listeners.get(eventName).add(handler);
+
+    return () => off(eventName, handler);
+}
+
+/**
+ * Unsubscribe from a gesture event
+ * @param {string} eventName - Event name
+ * @param {Function} handler - Handler passed to on()
+ */
+export function off(eventName, handler) {
+    const handlers = listeners.get(eventName);
+    if (handlers) {
+        handlers.delete(handler);
+    }
+}
+
+/**
+ * Notify subscribers of an event
+ * @param {string} eventName - Event name
+ * @param {Object} payload - Passed to every handler
+ */
+export function emit(eventName, payload) {
+    const handlers = listeners.get(eventName);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while being notified
+    [...handlers].forEach(handler => {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`[JARVIS] Gesture handler for '${eventName}' failed:`, error);
+        }
+    });
+}
+
+/**
+ * Recognize gestures for this frame and emit their events
+ * @param {Array} leftLandmarks - Left hand
+ * @param {Array} rightLandmarks - Right hand
+ * @param {number} timestamp - Current time in ms
+ * @returns {Object} Stable gesture state for this frame
+ */
+export function updateGestures(leftLandmarks, rightLandmarks, timestamp = now()) {
+    const { state, events } = recognizeGestures(leftLandmarks, rightLandmarks, lastGestureState, timestamp);
+    lastGestureState = state;
+
+    emit('frame', { state, timestamp });
+
+    events.forEach(event => {
+        const payload = { ...event, state };
+
+        emit('gesture', payload);
+        if (event.phase === 'start') emit(`${event.gesture}start`, payload);
+        if (event.phase !== 'end') emit(event.gesture, payload);
+        if (event.phase === 'end') emit(`${event.gesture}end`, payload);
+    });
+
+    return state;
+}
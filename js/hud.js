@@ -4,6 +4,10 @@
  */
 
 import * as THREE from 'three';
+import { on } from './gestures.js';
+import { registerAction } from './bindings.js';
+import { toWorldSpace } from './mediapipe.js';
+import { SURFACE_OCEAN, SURFACE_LAND, SURFACE_ICE } from './earth.js';
 
 let hudGroup = null;
 let hudRings = [];
@@ -14,9 +18,10 @@ let time = 0;
 // HUD settings
 const HUD_OFFSET_X = 0.3;   // Offset to right of face
 const HUD_SCALE = 0.8;      // Overall scale
-const SMOOTHING = 0.1;      // Position smoothing factor
+const HUD_FOLLOW_RATE = 12; // Per second; eases between face samples, which arrive at 2-10 Hz
 
-// Current position (for smoothing)
+// Latest filtered face target, and the eased position drawn each frame
+let targetHUDPosition = null;
 let currentHUDPosition = { x: 0, y: 0, z: -2 };
 
 /**
@@ -146,21 +151,28 @@ function createHexagonGeometry(radius) {
  * Update HUD position based on face tracking
  * @param {Object} facePosition - Normalized face position {x, y, z}
  * @param {THREE.Camera} camera - Three.js camera
+ * @param {number} deltaTime - Seconds since the last frame
  */
-export function updateHUDPosition(facePosition, camera) {
+export function updateHUDPosition(facePosition, camera, deltaTime = 1 / 60) {
     if (!hudGroup) return;
 
     if (facePosition) {
-        // Convert normalized coords to world space
-        // Face position is 0-1, we need to convert to camera view space
-        const targetX = ((1 - facePosition.x) - 0.5) * 4 + HUD_OFFSET_X; // Offset right
-        const targetY = (0.5 - facePosition.y) * 3;
-        const targetZ = -2 + (facePosition.z * 2);
-
-        // Smooth interpolation
-        currentHUDPosition.x += (targetX - currentHUDPosition.x) * SMOOTHING;
-        currentHUDPosition.y += (targetY - currentHUDPosition.y) * SMOOTHING;
-        currentHUDPosition.z += (targetZ - currentHUDPosition.z) * SMOOTHING;
+        // Convert normalized coords to world space, through the video's fit
+        // Face position is 0-1 and already smoothed by the landmark filter
+        const depth = -2 + (facePosition.z * 2);
+        const facePoint = toWorldSpace(facePosition.x, facePosition.y, depth, camera);
+        const firstTarget = !targetHUDPosition;
+
+        targetHUDPosition = { x: facePoint.x + HUD_OFFSET_X, y: facePoint.y, z: facePoint.z }; // Offset right
+        if (firstTarget) Object.assign(currentHUDPosition, targetHUDPosition);
+    }
+
+    // Ease toward the target every frame so sparse face samples do not show as steps
+    if (targetHUDPosition) {
+        const follow = 1 - Math.exp(-HUD_FOLLOW_RATE * deltaTime);
+        currentHUDPosition.x += (targetHUDPosition.x - currentHUDPosition.x) * follow;
+        currentHUDPosition.y += (targetHUDPosition.y - currentHUDPosition.y) * follow;
+        currentHUDPosition.z += (targetHUDPosition.z - currentHUDPosition.z) * follow;
     }
 
     hudGroup.position.set(
@@ -286,6 +298,80 @@ export function updateStatusDisplays(faceDetected, handsDetected, gestureName, e
     }
 }
 
+/**
+ * Register HUD reactions to gesture events and the HUD gesture actions
+ */
+export function bindHUDGestures() {
+    // Flash the gesture indicator whenever a gesture starts
+    on('gesture', ({ phase }) => {
+        if (phase !== 'start') return;
+
+        const indicator = document.getElementById('gesture-indicator');
+        if (!indicator) return;
+
+        indicator.classList.remove('triggered');
+        void indicator.offsetWidth; // Restart the CSS animation
+        indicator.classList.add('triggered');
+    });
+
+    registerAction('toggleHud', {
+        label: 'Toggle HUD',
+        start: () => toggleHUDVisibility()
+    });
+}
+
+/**
+ * Show or hide the HUD panels and 3D HUD cluster
+ * @param {boolean} [show] - Omit to toggle
+ */
+export function toggleHUDVisibility(show) {
+    const overlay = document.getElementById('hud-overlay');
+    if (!overlay) return;
+
+    const visible = show === undefined ? overlay.classList.contains('hud-hidden') : show;
+    overlay.classList.toggle('hud-hidden', !visible);
+    if (hudGroup) hudGroup.visible = visible;
+}
+
+/**
+ * Update the recorder status display
+ * @param {boolean} isRecording - Is a recording in progress
+ * @param {number} seconds - Length of the current recording
+ */
+export function updateRecordingStatus(isRecording, seconds) {
+    const recordStatus = document.getElementById('record-status');
+    if (!recordStatus) return;
+
+    recordStatus.textContent = isRecording ? `REC ${seconds.toFixed(1)}s` : 'STANDBY [R]';
+    recordStatus.classList.toggle('recording', isRecording);
+}
+
+/**
+ * Show what the finger points at on the globe
+ * @param {{latitude: number, longitude: number, surface: number|null}|null} pick - From picking.js
+ */
+export function updatePickStatus(pick) {
+    const pickStatus = document.getElementById('pick-status');
+    if (!pickStatus) return;
+
+    if (!pick) {
+        pickStatus.textContent = 'NO TARGET';
+        pickStatus.classList.remove('online');
+        return;
+    }
+
+    const latitude = `${Math.abs(pick.latitude).toFixed(1)}°${pick.latitude >= 0 ? 'N' : 'S'}`;
+    const longitude = `${Math.abs(pick.longitude).toFixed(1)}°${pick.longitude >= 0 ? 'E' : 'W'}`;
+    const surface = {
+        [SURFACE_OCEAN]: ' OCEAN',
+        [SURFACE_LAND]: ' LAND',
+        [SURFACE_ICE]: ' ICE'
+    }[pick.surface] || '';
+
+    pickStatus.textContent = `${latitude} ${longitude}${surface}`;
+    pickStatus.classList.add('online');
+}
+
 /**
  * Show/hide loading screen
  * @param {boolean} show
@@ -300,3 +386,98 @@ export function setLoadingScreen(show) {
         }
     }
 }
+
+/**
+ * Show startup progress on the loading screen
+ * An error shown meanwhile stays on screen
+ * @param {number} fraction - 0-1 overall progress
+ * @param {string} text - Current stage status
+ * @param {string} detail - Extra status under the bar, hidden when empty
+ * @param {boolean} slow - Highlight the detail as a warning
+ */
+export function setLoadingProgress(fraction, text, detail = '', slow = false) {
+    const loadingScreen = document.getElementById('loading-screen');
+    const loadingText = document.querySelector('.loading-text');
+    const progress = document.querySelector('.loading-progress');
+    const detailText = document.getElementById('loading-detail');
+
+    if (!loadingScreen || loadingScreen.classList.contains('error')) return;
+
+    if (progress) progress.style.setProperty('--progress', fraction);
+    if (loadingText && text) loadingText.textContent = text;
+    if (detailText) {
+        detailText.textContent = detail;
+        detailText.classList.toggle('hidden', !detail);
+        detailText.classList.toggle('slow', slow);
+    }
+}
+
+/**
+ * Show an error state on the loading screen with a retry button
+ * @param {{title: string, message: string}} state - Entry from ERROR_STATES
+ * @param {Function} onRetry - Called when retry is clicked
+ */
+export function showErrorScreen(state, onRetry) {
+    const loadingScreen = document.getElementById('loading-screen');
+    const loadingText = document.querySelector('.loading-text');
+    const detail = document.getElementById('loading-detail');
+    const retryButton = document.getElementById('loading-retry');
+
+    if (loadingScreen) loadingScreen.classList.add('error');
+    if (loadingText) loadingText.textContent = state.title;
+    if (detail) {
+        detail.textContent = state.message;
+        detail.classList.remove('hidden', 'slow');
+    }
+    if (retryButton) {
+        retryButton.onclick = onRetry;
+        retryButton.classList.remove('hidden');
+    }
+
+    setLoadingScreen(true);
+}
+
+/**
+ * Return the loading screen from an error state to its normal look
+ * @param {string} text - Loading text to show
+ */
+export function clearErrorScreen(text = 'Initializing Systems...') {
+    const loadingScreen = document.getElementById('loading-screen');
+    const loadingText = document.querySelector('.loading-text');
+    const detail = document.getElementById('loading-detail');
+    const retryButton = document.getElementById('loading-retry');
+
+    if (loadingScreen) loadingScreen.classList.remove('error');
+    if (loadingText) loadingText.textContent = text;
+    if (detail) detail.classList.add('hidden');
+    if (retryButton) {
+        retryButton.onclick = null;
+        retryButton.classList.add('hidden');
+    }
+}
+
+/**
+ * Show the loading screen as camera standby or re-acquisition, or hide it
+ * An error shown meanwhile (such as a lost camera) stays on screen
+ * @param {'standby'|'reacquiring'|null} mode
+ */
+export function setStandbyScreen(mode) {
+    const loadingScreen = document.getElementById('loading-screen');
+    const loadingText = document.querySelector('.loading-text');
+    if (!loadingScreen) return;
+
+    loadingScreen.classList.toggle('standby', mode === 'standby');
+    loadingScreen.classList.toggle('reacquiring', mode === 'reacquiring');
+
+    if (loadingScreen.classList.contains('error')) return;
+
+    if (mode === 'standby') {
+        if (loadingText) loadingText.textContent = 'STANDBY - TOUCH OR PRESS ANY KEY';
+        setLoadingScreen(true);
+    } else if (mode === 'reacquiring') {
+        if (loadingText) loadingText.textContent = 'RE-ACQUIRING TARGETS...';
+        setLoadingScreen(true);
+    } else {
+        setLoadingScreen(false);
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * JARVIS AR - Hand Identity Module
+ * Gives each tracked hand a persistent ID and a stable Left/Right side
+ *
+ * MediaPipe labels each hand independently per frame and sometimes gives
+ * both hands the same label or swaps them mid-gesture. Here hands are
+ * matched to the previous frame by palm position, and their side is an
+ * accumulated vote of label scores that only flips on sustained evidence.
+ */
+
+import { getPalmCenter } from './gestures.js';
+
+const MAX_MATCH_DISTANCE = 0.25; // Max palm travel between frames (normalized units)
+const TRACK_TIMEOUT = 300;       // ms a lost hand keeps its identity
+const SIDE_DECAY = 0.85;         // Per-frame decay of side evidence
+const SIDE_SWITCH_MARGIN = 0.3;  // Evidence needed against the current side to flip it
+
+let tracks = [];
+let nextTrackId = 1;
+
+/**
+ * Signed label evidence of one detection: positive favors Left, negative favors Right
+ * @param {{handedness: string, score: number}} detection
+ * @returns {number} -1 to 1
+ */
+function sideVote(detection) {
+    return (detection.handedness === 'Left' ? 1 : -1) * (detection.score ?? 1);
+}
+
+/**
+ * Match detections to known hands and update their identities
+ * @param {Array<{landmarks: Array, handedness: 'Left'|'Right', score: number}>} detections
+ *   Hands this frame, handedness already mirrored for the selfie view; other fields pass through
+ * @param {number} timestamp - Frame time in ms
+ * @returns {Array<{id: number, landmarks: Array, handedness: string, score: number, sideConfidence: number, confidence: number}>}
+ */
+export function updateHandIdentities(detections, timestamp) {
+    const positions = detections.map(detection => getPalmCenter(detection.landmarks));
+    const assignments = new Array(detections.length).fill(null);
+
+    // Greedy nearest-pair matching between detections and live tracks
+    const pairs = [];
+    detections.forEach((detection, d) => {
+        tracks.forEach(track => {
+            const dx = positions[d].x - track.position.x;
+            const dy = positions[d].y - track.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < MAX_MATCH_DISTANCE) {
+                pairs.push({ d, track, distance });
+            }
+        });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matchedTracks = new Set();
+    pairs.forEach(({ d, track }) => {
+        if (assignments[d] || matchedTracks.has(track)) return;
+        assignments[d] = track;
+        matchedTracks.add(track);
+    });
+
+    // New hands start a track; their first label sets the side
+    detections.forEach((detection, d) => {
+        if (assignments[d]) return;
+
+        const track = {
+            id: nextTrackId++,
+            side: detection.handedness,
+            sideScore: sideVote(detection),
+            position: positions[d],
+            lastSeen: timestamp
+        };
+        tracks.push(track);
+        assignments[d] = track;
+    });
+
+    // Accumulate label evidence, flipping the side only on sustained disagreement
+    detections.forEach((detection, d) => {
+        const track = assignments[d];
+        track.sideScore = track.sideScore * SIDE_DECAY + sideVote(detection) * (1 - SIDE_DECAY);
+        track.position = positions[d];
+        track.lastSeen = timestamp;
+        track.score = detection.score ?? 1;
+
+        const evidenceAgainst = track.side === 'Left' ? -track.sideScore : track.sideScore;
+        if (evidenceAgainst > SIDE_SWITCH_MARGIN) {
+            track.side = track.side === 'Left' ? 'Right' : 'Left';
+        }
+    });
+
+    resolveDuplicateSides(assignments.filter(Boolean));
+
+    // Forget hands that have been gone too long
+    tracks = tracks.filter(track => timestamp - track.lastSeen <= TRACK_TIMEOUT);
+
+    return detections.map((detection, d) => {
+        const track = assignments[d];
+
+        // 1 when every recent label agrees with the side, 0 when all disagree
+        const agreement = track.side === 'Left' ? track.sideScore : -track.sideScore;
+        const sideConfidence = 0.5 + agreement / 2;
+
+        return {
+            ...detection,
+            id: track.id,
+            handedness: track.side,
+            score: track.score,
+            sideConfidence,
+            confidence: track.score * sideConfidence
+        };
+    });
+}
+
+/**
+ * Ensure two visible hands never share a side
+ * The hand further left on screen (higher raw x in the mirrored view) becomes Left
+ * @param {Array<Object>} visibleTracks - Tracks matched this frame
+ */
+function resolveDuplicateSides(visibleTracks) {
+    if (visibleTracks.length !== 2) return;
+
+    const [a, b] = visibleTracks;
+    if (a.side !== b.side) return;
+
+    const [left, right] = a.position.x > b.position.x ? [a, b] : [b, a];
+    left.side = 'Left';
+    right.side = 'Right';
+}
+
+/**
+ * Forget all hand identities
+ */
+export function resetHandIdentities() {
+    tracks = [];
+}
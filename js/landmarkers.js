@@ -0,0 +1,188 @@
+/**
+ * JARVIS AR - Landmarkers Module
+ * MediaPipe Tasks Vision face and hand landmarkers
+ *
+ * Shared by the main thread and tracking-worker.js. Workers see neither
+ * import maps nor the page's globals, so the Tasks Vision bundle, its WASM
+ * and the models are loaded from the URLs passed in (see asset-manifest.js).
+ * Results are converted to the legacy solutions shape (multiHandLandmarks,
+ * multiHandedness, multiFaceLandmarks) used throughout the app.
+ */
+
+/**
+ * Create the face and hand landmarkers in VIDEO mode
+ * Both tasks share one WASM runtime and are created sequentially
+ * @param {Object} options
+ * @param {boolean} options.recognizeGestures - Use GestureRecognizer to also get gesture categories
+ * @param {boolean} options.offscreen - Give each task its own OffscreenCanvas for GPU work (workers)
+ * @param {Object} options.assets - Absolute asset URLs from asset-manifest.js
+ * @param {Function} options.onProgress - Called as (stage, loadedBytes, totalBytes) while
+ *   the 'faceModel' and 'handModel' stages download
+ * @param {AbortSignal} options.signal - Cancels the downloads and discards the landmarkers (main thread only)
+ * @returns {Promise<{face: Object, hand: Object, recognizeGestures: boolean, lastTimestamp: number}>}
+ */
+export async function createLandmarkers({
+    recognizeGestures = true, offscreen = false, assets, onProgress = () => {}, signal = null
+} = {}) {
+    if (!assets) {
+        throw new Error('Landmarker asset URLs missing');
+    }
+
+    const {
+        FilesetResolver, FaceLandmarker, HandLandmarker, GestureRecognizer
+    } = await import(assets.tasksVision);
+
+    const fileset = await FilesetResolver.forVisionTasks(assets.tasksWasm);
+    // Models are fetched here rather than by path so their download progress shows
+    const taskOptions = (modelAssetBuffer) => ({
+        baseOptions: { modelAssetBuffer, delegate: 'GPU' },
+        canvas: offscreen ? new OffscreenCanvas(1, 1) : undefined,
+        runningMode: 'VIDEO'
+    });
+
+    onProgress('faceModel', 0, 0);
+    const faceModel = await fetchModel(assets.faceModel, (loaded, total) => onProgress('faceModel', loaded, total), signal);
+    const face = await FaceLandmarker.createFromOptions(fileset, {
+        ...taskOptions(faceModel),
+        numFaces: 1,
+        minFaceDetectionConfidence: 0.5,
+        minFacePresenceConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
+    console.log('[JARVIS] Face landmarker initialized');
+
+    onProgress('handModel', 0, 0);
+    const handModel = await fetchModel(
+        recognizeGestures ? assets.gestureModel : assets.handModel,
+        (loaded, total) => onProgress('handModel', loaded, total),
+        signal
+    );
+    const handTask = recognizeGestures ? GestureRecognizer : HandLandmarker;
+    const hand = await handTask.createFromOptions(fileset, {
+        ...taskOptions(handModel),
+        numHands: 2,
+        minHandDetectionConfidence: 0.5,
+        minHandPresenceConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    });
+    console.log(`[JARVIS] Hand ${recognizeGestures ? 'gesture recognizer' : 'landmarker'} initialized`);
+
+    // Startup gave up while the tasks were being created
+    if (signal && signal.aborted) {
+        face.close();
+        hand.close();
+        throw signal.reason;
+    }
+
+    return { face, hand, recognizeGestures, lastTimestamp: -1 };
+}
+
+/**
+ * Download a model file, reporting bytes as they arrive
+ * @param {string} url - Model URL
+ * @param {Function} onProgress - Called as (loadedBytes, totalBytes); total is 0 if unknown
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchModel(url, onProgress, signal = null) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Model download failed (${response.status}): ${url}`);
+    }
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body) {
+        const buffer = new Uint8Array(await response.arrayBuffer());
+        onProgress(buffer.length, buffer.length);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        loaded += value.length;
+        onProgress(loaded, total);
+    }
+
+    const buffer = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    return buffer;
+}
+
+/**
+ * Run the landmarkers on one frame
+ * @param {Object} landmarkers - From createLandmarkers
+ * @param {HTMLVideoElement|ImageBitmap} image - Frame to analyze
+ * @param {number} timestamp - Frame time in ms; bumped if not increasing, as VIDEO mode requires
+ * @param {{trackFace: boolean, trackHands: boolean}} plan - Trackers to run; skipped ones return null
+ * @returns {{faceResults: Object|null, handResults: Object|null, timestamp: number, inferenceTime: number}}
+ */
+export function detectLandmarks(landmarkers, image, timestamp, plan = { trackFace: true, trackHands: true }) {
+    const frameTime = Math.max(timestamp, landmarkers.lastTimestamp + 1);
+    landmarkers.lastTimestamp = frameTime;
+    const start = performance.now();
+
+    const faceResults = plan.trackFace
+        ? toFaceResults(landmarkers.face.detectForVideo(image, frameTime))
+        : null;
+
+    let handResults = null;
+    if (plan.trackHands) {
+        handResults = toHandResults(landmarkers.recognizeGestures
+            ? landmarkers.hand.recognizeForVideo(image, frameTime)
+            : landmarkers.hand.detectForVideo(image, frameTime));
+    }
+
+    return {
+        faceResults,
+        handResults,
+        timestamp: frameTime,
+        inferenceTime: performance.now() - start
+    };
+}
+
+/**
+ * Convert a FaceLandmarker result to the Face Mesh results shape
+ * @param {Object} result - FaceLandmarkerResult
+ * @returns {Object} {multiFaceLandmarks}
+ */
+function toFaceResults(result) {
+    return {
+        multiFaceLandmarks: result.faceLandmarks || []
+    };
+}
+
+/**
+ * Convert a HandLandmarker or GestureRecognizer result to the Hands results shape
+ * World landmarks and gesture categories ride along as extra fields
+ * @param {Object} result - HandLandmarkerResult or GestureRecognizerResult
+ * @returns {Object} {multiHandLandmarks, multiHandWorldLandmarks, multiHandedness, multiHandGestures}
+ */
+function toHandResults(result) {
+    const handedness = result.handedness || result.handednesses || [];
+
+    return {
+        multiHandLandmarks: result.landmarks || [],
+        multiHandWorldLandmarks: result.worldLandmarks || [],
+        multiHandedness: handedness.map((categories, index) => ({
+            index,
+            score: categories[0]?.score ?? 0,
+            label: categories[0]?.categoryName || 'Unknown'
+        })),
+        multiHandGestures: (result.gestures || []).map(categories => categories.map(category => ({
+            name: category.categoryName,
+            score: category.score
+        })))
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * JARVIS AR - Lifecycle Module
+ * Pauses the app while the tab is hidden and sleeps the camera when nobody is there
+ *
+ * Hidden tab: tracking and rendering pause, and resume when it is shown.
+ * Idle: after the idle timeout with no hands or face detected, the camera is
+ * released (its LED goes off) and the loading screen shows standby. Any key,
+ * click or touch, or showing the tab again, restarts the camera behind a
+ * short re-acquisition animation.
+ *
+ * Set the timeout in the settings panel or with ?idleTimeout=<seconds> (0 = never).
+ */
+
+import { getHands, getFacePosition } from './tracking.js';
+import { pushFaceResults, pushHandResults } from './mediapipe.js';
+import { stopCamera, recoverCamera, isCameraReady, isVideoFileSource } from './camera.js';
+import { setStandbyScreen } from './hud.js';
+import { createSettingsRow } from './settings.js';
+
+const STORAGE_KEY = 'jarvis.idleTimeout';
+const DEFAULT_IDLE_TIMEOUT = 120;   // Seconds without hands or face before the camera sleeps
+const IDLE_TIMEOUT_OPTIONS = [0, 30, 60, 120, 300, 600];
+const REACQUIRE_MIN_TIME = 1200;    // ms the re-acquisition animation shows at least
+
+// 'active' runs normally; 'hidden', 'idle' and 'waking' pause tracking and rendering
+let state = 'active';
+let usesCamera = false;
+// Loaded up front so the settings panel shows it before initLifecycle runs
+let idleTimeout = loadIdleTimeout();
+let lastPresence = 0;
+let onResume = null;
+
+/**
+ * Start watching page visibility and user input
+ * @param {Object} options
+ * @param {boolean} options.camera - Whether tracking uses the webcam, enabling idle sleep
+ * @param {Function} options.resume - Called when the app resumes, e.g. to reset frame timing
+ */
+export function initLifecycle({ camera = false, resume = null } = {}) {
+    usesCamera = camera;
+    onResume = resume;
+    lastPresence = performance.now();
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            if (state === 'active') pause('hidden');
+        } else if (state === 'hidden') {
+            resume();
+        } else if (state === 'idle') {
+            wake();
+        }
+    });
+
+    ['keydown', 'pointerdown', 'touchstart'].forEach(eventName => {
+        window.addEventListener(eventName, () => {
+            if (state === 'idle') wake();
+        }, { passive: true });
+    });
+}
+
+/**
+ * Track presence and sleep the camera when idle; call once per frame
+ * @param {number} now - Current time in ms
+ */
+export function updateLifecycle(now = performance.now()) {
+    if (state !== 'active') return;
+
+    if (getHands().length > 0 || getFacePosition()) {
+        lastPresence = now;
+        return;
+    }
+
+    // A lost camera or a video file has nothing to release
+    if (!usesCamera || idleTimeout <= 0 || !isCameraReady() || isVideoFileSource()) return;
+
+    if (now - lastPresence > idleTimeout * 1000) {
+        sleep();
+    }
+}
+
+/**
+ * Check if tracking and rendering should be skipped
+ * @returns {boolean}
+ */
+export function isLifecyclePaused() {
+    return state !== 'active';
+}
+
+/**
+ * Pause tracking and rendering
+ * @param {'hidden'|'idle'} reason
+ */
+function pause(reason) {
+    state = reason;
+
+    // Stale results would leave hands frozen in place when resuming
+    pushHandResults({ multiHandLandmarks: [], multiHandedness: [] });
+    pushFaceResults({ multiFaceLandmarks: [] });
+
+    console.log('[JARVIS] Paused:', reason);
+}
+
+/**
+ * Resume after the tab is shown again
+ */
+function resume() {
+    state = 'active';
+    lastPresence = performance.now();
+    if (onResume) onResume();
+    console.log('[JARVIS] Resumed');
+}
+
+/**
+ * Release the camera after the idle timeout
+ */
+function sleep() {
+    pause('idle');
+    stopCamera();
+    setStandbyScreen('standby');
+}
+
+/**
+ * Restart the camera after sleeping, behind the re-acquisition animation
+ * @returns {Promise<void>}
+ */
+async function wake() {
+    state = 'waking';
+    setStandbyScreen('reacquiring');
+    const started = performance.now();
+
+    try {
+        await recoverCamera();
+    } catch (error) {
+        // camera.js reports the loss, which shows the camera error screen
+        console.warn('[JARVIS] Camera did not wake:', error);
+    }
+
+    const remaining = REACQUIRE_MIN_TIME - (performance.now() - started);
+    setTimeout(() => setStandbyScreen(null), Math.max(0, remaining));
+
+    resume();
+}
+
+/**
+ * Read the idle timeout from the URL, then saved settings
+ * @returns {number} Seconds, 0 for never
+ */
+function loadIdleTimeout() {
+    const param = parseFloat(new URLSearchParams(window.location.search).get('idleTimeout'));
+    if (param >= 0) return param;
+
+    try {
+        const stored = parseFloat(localStorage.getItem(STORAGE_KEY));
+        return stored >= 0 ? stored : DEFAULT_IDLE_TIMEOUT;
+    } catch (error) {
+        return DEFAULT_IDLE_TIMEOUT;
+    }
+}
+
+/**
+ * Change and save the idle timeout
+ * @param {number} seconds - 0 to never release the camera
+ */
+export function setIdleTimeout(seconds) {
+    idleTimeout = seconds;
+    lastPresence = performance.now();
+
+    try {
+        localStorage.setItem(STORAGE_KEY, String(seconds));
+    } catch (error) {
+        console.warn('[JARVIS] Could not save idle timeout:', error);
+    }
+}
+
+/**
+ * Build the idle timeout control in a settings section
+ * @param {HTMLElement} container - Section body to render into
+ */
+export function renderLifecycleSettings(container) {
+    container.innerHTML = '';
+
+    const select = document.createElement('select');
+    select.className = 'settings-input';
+
+    const options = IDLE_TIMEOUT_OPTIONS.includes(idleTimeout)
+        ? IDLE_TIMEOUT_OPTIONS
+        : [...IDLE_TIMEOUT_OPTIONS, idleTimeout].sort((a, b) => a - b);
+
+    options.forEach(seconds => {
+        const option = document.createElement('option');
+        option.value = seconds;
+        option.textContent = seconds === 0 ? 'NEVER'
+            : seconds < 60 ? `${seconds} SEC` : `${seconds / 60} MIN`;
+        select.appendChild(option);
+    });
+    select.value = idleTimeout;
+    select.addEventListener('change', () => setIdleTimeout(Number(select.value)));
+
+    container.appendChild(createSettingsRow('CAMERA SLEEP', select));
+}
@@ -5,15 +5,28 @@
 
 import * as THREE from 'three';
 
-import { initCamera, setupARBackground, isCameraReady, getVideoElement } from './camera.js';
-import { initMediaPipe, processFrame, getFacePosition, getHand, isMediaPipeReady } from './mediapipe.js';
-import { getGestureState, getGestureName } from './gestures.js';
-import { createHUD3D, updateHUDPosition, animateHUD, initWaveform, animateWaveform, updateStatusDisplays, setLoadingScreen } from './hud.js';
 import {
-    initEarth, updateEarth, handlePinchZoom, handleWaveRotation,
-    spawnDualEarths, mergeEarths, disperseParticles, convergeParticles,
-    getEarthMode, isDualEarthMode, getLeftEarth, getRightEarth
-} from './earth.js';
+    initCamera, setupARBackground, updateARBackground, renderCameraSettings,
+    setCameraStateCallback, recoverCamera, resetCameraChoice, getVideoFileUrl
+} from './camera.js';
+import { ERROR_STATES, runStage, classifyError } from './errors.js';
+import {
+    beginStartup, startStage, reportDownloadProgress, finishStartup, cancelStartup, watchStartup
+} from './progress.js';
+import { initLifecycle, updateLifecycle, isLifecyclePaused, renderLifecycleSettings } from './lifecycle.js';
+import {
+    getTrackingConfig, trackerUsesCamera, getTrackerStages, initTracking, updateTracking,
+    getTrackingTime, getFacePosition, getHand, getHands
+} from './tracking.js';
+import { initRecorder } from './recorder.js';
+import { initSettingsPanel, addSettingsSection } from './settings.js';
+import { initBindings, renderBindingsSettings, getTwoHandMode, getGestureLabels } from './bindings.js';
+import { initCalibration, renderCalibrationSettings, isCalibrating, updateCalibration } from './calibration.js';
+import { initSmoothing, renderSmoothingSettings } from './filters.js';
+import { updateGestures, getGestureName } from './gestures.js';
+import { createHUD3D, updateHUDPosition, animateHUD, initWaveform, animateWaveform, updateStatusDisplays, setLoadingScreen, bindHUDGestures, showErrorScreen, clearErrorScreen } from './hud.js';
+import { initEarth, updateEarth, bindEarthGestures, getEarthMode, loadEarthTextureData } from './earth.js';
+import { initPicking, updatePicking } from './picking.js';
 
 // Three.js globals
 let scene, camera, renderer;
@@ -23,9 +36,6 @@ let backgroundPlane;
 
 // State
 let isInitialized = false;
-let previousGestureState = {};
-let previousPinchDistance = 0;
-let dualEarthCooldown = 0;
 
 /**
  * Initialize Three.js scene
@@ -73,8 +83,9 @@ function initThreeJS() {
     blueLight.position.set(-2, 2, 2);
     scene.add(blueLight);
 
-    // Handle resize
+    // Handle resize; mobile browsers may report the new size only after rotating
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('orientationchange', onWindowResize);
 
     console.log('[JARVIS] Three.js initialized');
 }
@@ -86,39 +97,103 @@ function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+
+    if (backgroundPlane) {
+        updateARBackground(backgroundPlane, camera);
+    }
 }
 
 /**
  * Initialize all systems
+ * Stages that already succeeded are skipped, so a failed start can be retried
  */
 async function init() {
     console.log('[JARVIS] Initializing systems...');
+    clearErrorScreen();
+
+    // Pick the tracker provider; recorded and synthetic ones need no webcam
+    const trackingConfig = getTrackingConfig();
+    const usesCamera = trackerUsesCamera(trackingConfig.name);
+    const videoStage = getVideoFileUrl() ? 'video' : 'camera';
+
+    beginStartup([
+        'renderer',
+        ...(usesCamera ? [videoStage] : []),
+        ...getTrackerStages(trackingConfig.name),
+        'earth',
+        'hud'
+    ]);
+
+    // Aborted when this attempt fails, so stalled work cannot outlive it into a retry
+    const startup = new AbortController();
 
     try {
         // Initialize Three.js first
-        initThreeJS();
-
-        // Initialize camera
-        const videoElement = await initCamera();
-        console.log('[JARVIS] Camera ready');
+        startStage('renderer');
+        await watchStartup(runStage('webgl', () => {
+            if (!renderer) initThreeJS();
+        }));
+        initSmoothing();
+
+        let videoElement = null;
+
+        if (usesCamera) {
+            // Initialize camera
+            startStage(videoStage);
+            videoElement = await watchStartup(runStage('camera', () => initCamera(startup.signal)));
+            console.log('[JARVIS] Camera ready');
+
+            // Setup AR background
+            if (!backgroundPlane) {
+                backgroundPlane = setupARBackground(scene, camera);
+            }
+            setCameraStateCallback(handleCameraState);
+        }
 
-        // Setup AR background
-        backgroundPlane = setupARBackground(scene, camera);
+        // Initialize tracking; model downloads report their own stages
+        startStage(getTrackerStages(trackingConfig.name)[0]);
+        await watchStartup(runStage('tracking', () => initTracking(
+            trackingConfig, videoElement, reportDownloadProgress, startup.signal
+        )));
+        console.log('[JARVIS] Tracking ready');
 
-        // Initialize MediaPipe
-        await initMediaPipe(videoElement);
-        console.log('[JARVIS] MediaPipe ready');
+        // The Earth falls back to procedural colors, so a failed texture does not stop startup
+        startStage('earth');
+        await watchStartup(loadEarthTextureData(textureLoader)).catch(() => {});
 
         // Initialize HUD
+        startStage('hud');
         createHUD3D(scene);
         initWaveform();
+        initRecorder();
+        bindHUDGestures();
         console.log('[JARVIS] HUD ready');
 
         // Initialize Earth
         initEarth(scene, textureLoader);
+        bindEarthGestures(scene, textureLoader, camera);
+        initPicking(scene);
         console.log('[JARVIS] Earth ready');
 
+        // Initialize gesture bindings and settings
+        await watchStartup(initBindings());
+        initSettingsPanel();
+        renderBindingsSettings(addSettingsSection('GESTURE BINDINGS'));
+        initCalibration();
+        renderCalibrationSettings(addSettingsSection('CALIBRATION'));
+        renderSmoothingSettings(addSettingsSection('LANDMARK SMOOTHING'));
+        if (usesCamera) renderCameraSettings(addSettingsSection('CAMERA'));
+        renderLifecycleSettings(addSettingsSection('POWER'));
+        console.log('[JARVIS] Bindings ready');
+
+        // Pause when hidden, sleep the camera when nobody is around
+        initLifecycle({
+            camera: usesCamera,
+            resume: () => clock.getDelta() // Drop the paused time from the next frame
+        });
+
         // Hide loading screen
+        finishStartup();
         setTimeout(() => {
             setLoadingScreen(false);
         }, 500);
@@ -131,126 +206,62 @@ async function init() {
 
     } catch (error) {
         console.error('[JARVIS] Initialization failed:', error);
+        cancelStartup();
+        startup.abort(error);
+
+        const errorState = classifyError(error);
+        const state = errorState === 'timeout'
+            ? { ...ERROR_STATES.timeout, message: `${error.message}. ${ERROR_STATES.timeout.message}` }
+            : ERROR_STATES[errorState];
+        showErrorScreen(state, () => {
+            // Saved camera settings the device rejects would fail the same way again
+            if (errorState === 'overconstrained') resetCameraChoice();
+            init();
+        });
+    }
+}
 
-        // Show error message
-        const loadingText = document.querySelector('.loading-text');
-        if (loadingText) {
-            loadingText.textContent = 'Camera access required. Please allow camera permissions.';
-            loadingText.style.color = '#FF4444';
-        }
+/**
+ * Show or clear the camera-lost screen while the app is running
+ * @param {'lost'|'recovered'} state - From camera.js
+ */
+function handleCameraState(state) {
+    if (state === 'lost') {
+        showErrorScreen(ERROR_STATES.cameraLost, () => {
+            recoverCamera().catch(error => console.warn('[JARVIS] Camera still unavailable:', error));
+        });
+    } else if (state === 'recovered' && isInitialized) {
+        clearErrorScreen();
+        setLoadingScreen(false);
     }
 }
 
 /**
- * Process gestures and control Earth
+ * Recognize gestures, letting subscribed modules react, and update status
  */
 function processGestures() {
-    const leftHand = getHand('Left');
-    const rightHand = getHand('Right');
-
-    const gestureState = getGestureState(leftHand, rightHand, previousGestureState);
-    const gestureName = getGestureName(gestureState);
+    // The calibration wizard takes over hand input, letting active gestures release
+    const calibrating = isCalibrating();
+    if (calibrating) updateCalibration();
+
+    // Gestures time on the tracker's clock, so recorded sessions replay identically
+    const timestamp = getTrackingTime();
+    const gestureState = calibrating
+        ? updateGestures(null, null, timestamp)
+        : updateGestures(getHand('Left'), getHand('Right'), timestamp);
+    const earthMode = getEarthMode();
+    const twoHandsName = getTwoHandMode() !== 'grab' ? 'DUAL EARTH MODE'
+        : earthMode === 'GRABBED' ? 'GRAB - MANIPULATE' : 'PINCH BOTH - GRAB';
+    const gestureName = calibrating ? 'CALIBRATING' : getGestureName(gestureState, twoHandsName, getGestureLabels());
 
     // Count detected hands
-    let handsCount = 0;
-    if (gestureState.left.detected) handsCount++;
-    if (gestureState.right.detected) handsCount++;
-
-    // DUAL EARTH MODE: When two hands are detected, spawn two Earths
-    if (gestureState.bothHands.detected && !isDualEarthMode()) {
-        if (dualEarthCooldown <= 0) {
-            spawnDualEarths(scene, textureLoader);
-            dualEarthCooldown = 90; // Cooldown frames
-        }
-    }
-    dualEarthCooldown = Math.max(0, dualEarthCooldown - 1);
-
-    // SINGLE EARTH MODE
-    if (!isDualEarthMode()) {
-        const mainEarth = scene.getObjectByName('mainEarth');
-
-        // FIST/GRASP = CONVERGE particles
-        if (gestureState.left.grasping || gestureState.right.grasping) {
-            if (mainEarth) convergeParticles(mainEarth, 0.8);
-        }
-
-        // OPEN HAND = DISPERSE particles
-        if (gestureState.left.open || gestureState.right.open) {
-            if (mainEarth) disperseParticles(mainEarth, 0.5);
-        }
-
-        // Pinch zoom
-        if (gestureState.left.pinch.isPinching || gestureState.right.pinch.isPinching) {
-            const currentPinch = gestureState.left.pinch.isPinching
-                ? gestureState.left.pinch.distance
-                : gestureState.right.pinch.distance;
-
-            if (previousPinchDistance > 0) {
-                handlePinchZoom(currentPinch, previousPinchDistance);
-            }
-            previousPinchDistance = currentPinch;
-        } else {
-            previousPinchDistance = 0;
-        }
-
-        // Wave rotation
-        if (gestureState.left.wave.isWaving) {
-            handleWaveRotation(gestureState.left.wave.velocity, -gestureState.left.wave.direction);
-        }
-        if (gestureState.right.wave.isWaving) {
-            handleWaveRotation(gestureState.right.wave.velocity, -gestureState.right.wave.direction);
-        }
-    }
-    // DUAL EARTH MODE
-    else {
-        const leftEarth = getLeftEarth();
-        const rightEarth = getRightEarth();
-
-        // LEFT HAND controls LEFT EARTH
-        if (gestureState.left.detected && leftEarth) {
-            if (gestureState.left.grasping) {
-                convergeParticles(leftEarth, 0.8);
-            }
-            if (gestureState.left.open) {
-                disperseParticles(leftEarth, 0.5);
-            }
-            if (gestureState.left.wave.isWaving) {
-                leftEarth.rotation.y += gestureState.left.wave.velocity * 0.15;
-            }
-        }
-
-        // RIGHT HAND controls RIGHT EARTH
-        if (gestureState.right.detected && rightEarth) {
-            if (gestureState.right.grasping) {
-                convergeParticles(rightEarth, 0.8);
-            }
-            if (gestureState.right.open) {
-                disperseParticles(rightEarth, 0.5);
-            }
-            if (gestureState.right.wave.isWaving) {
-                rightEarth.rotation.y += gestureState.right.wave.velocity * 0.15;
-            }
-        }
-
-        // CLASPED HANDS (both fists together) = MERGE EARTHS
-        if (gestureState.bothHands.grasping) {
-            mergeEarths(scene);
-        }
-
-        // When only one hand is detected, merge back to single Earth
-        if (!gestureState.bothHands.detected && (gestureState.left.detected || gestureState.right.detected)) {
-            // After cooldown, merge Earths
-            if (dualEarthCooldown <= 0) {
-                mergeEarths(scene);
-            }
-        }
-    }
+    const handsCount = calibrating
+        ? getHands().length
+        : Number(gestureState.left.detected) + Number(gestureState.right.detected);
 
     // Update status displays
     const facePosition = getFacePosition();
-    updateStatusDisplays(!!facePosition, handsCount, gestureName, getEarthMode());
-
-    previousGestureState = gestureState;
+    updateStatusDisplays(!!facePosition, handsCount, gestureName, earthMode);
 }
 
 /**
@@ -259,31 +270,49 @@ function processGestures() {
 function animate() {
     requestAnimationFrame(animate);
 
-    if (!isInitialized) return;
+    // Skip tracking and rendering while hidden or the camera sleeps
+    if (!isInitialized || isLifecyclePaused()) return;
 
     const deltaTime = clock.getDelta();
 
-    // Process MediaPipe frame
-    if (isMediaPipeReady() && isCameraReady()) {
-        processFrame(getVideoElement());
-    }
+    // Let the tracker provider produce hand and face results
+    updateTracking();
 
     // Update HUD position based on face tracking
     const facePosition = getFacePosition();
-    updateHUDPosition(facePosition, camera);
+    updateHUDPosition(facePosition, camera, deltaTime);
     animateHUD(deltaTime);
     animateWaveform();
 
     // Process gestures and control Earth
     processGestures();
+    updateLifecycle();
 
     // Update Earth animation
     updateEarth(deltaTime);
 
+    // Point at the Earth where it is drawn this frame
+    updatePicking(camera);
+
     // Render
     renderer.render(scene, camera);
 }
 
+/**
+ * Register the service worker that precaches the app for offline use
+ * Its URL carries the asset mode, so switching modes installs a fresh cache
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    const url = `sw.js?assets=${window.JARVIS_ASSETS.mode}`;
+    navigator.serviceWorker.register(url)
+        .then(() => console.log('[JARVIS] Offline cache registered:', window.JARVIS_ASSETS.mode))
+        .catch(error => console.warn('[JARVIS] Offline cache unavailable:', error));
+}
+
+registerServiceWorker();
+
 // Start initialization when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -1,122 +1,274 @@
 /**
  * JARVIS AR - MediaPipe Module
- * Handles Face Mesh and Hand tracking integration
+ * Handles face and hand tracking with the MediaPipe Tasks Vision API
+ *
+ * Inference runs in tracking-worker.js: each video frame is sent as a
+ * transferred ImageBitmap and results come back asynchronously, tagged with
+ * the frame's capture time, so rendering never waits on tracking. While a
+ * frame is in flight newer frames are dropped rather than queued, and
+ * scheduler.js picks each frame's input size and whether the face runs.
+ * Browsers without module workers or OffscreenCanvas run the landmarkers
+ * on the main thread instead.
+ *
+ * Results use the legacy solutions shape (see landmarkers.js) so playback,
+ * recording, filtering and identity tracking work unchanged.
+ * ?gestureModel=0 loads the plain HandLandmarker instead of GestureRecognizer.
  */
 
-let faceMesh = null;
-let hands = null;
+import * as THREE from 'three';
+import { createLandmarkers, detectLandmarks } from './landmarkers.js';
+import { initScheduler, planTrackingFrame, recordTrackingLatency } from './scheduler.js';
+import { isCameraReady, getVideoElement, getVideoFit } from './camera.js';
+import { createLandmarkFilter } from './filters.js';
+import { updateHandIdentities } from './identity.js';
+
+let worker = null;
+let landmarkers = null;  // Main-thread fallback
+let frameInFlight = false;
+let lastVideoTime = -1;
 let latestFaceResults = null;
 let latestHandResults = null;
 let isReady = false;
 
+// Smoothed landmarks consumed by gestures and HUD
+const faceFilter = createLandmarkFilter();
+const handFilters = new Map();
+let filteredFaceLandmarks = null;
+let filteredHands = [];
+
 // Callbacks for results
 let onFaceResults = null;
 let onHandResults = null;
 
 /**
- * Initialize MediaPipe Face Mesh
- * @param {HTMLVideoElement} videoElement - Video source
- * @returns {Promise<void>}
+ * Check if this browser can run inference in a worker
+ * @returns {boolean}
  */
-export async function initFaceMesh(videoElement) {
-    return new Promise((resolve, reject) => {
-        try {
-            faceMesh = new FaceMesh({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/${file}`;
-                }
-            });
-
-            faceMesh.setOptions({
-                maxNumFaces: 1,
-                refineLandmarks: true,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
-
-            faceMesh.onResults((results) => {
-                latestFaceResults = results;
-                if (onFaceResults) onFaceResults(results);
-            });
-
-            faceMesh.initialize().then(() => {
-                console.log('[JARVIS] Face Mesh initialized');
-                resolve();
-            });
-        } catch (error) {
-            console.error('[JARVIS] Face Mesh initialization failed:', error);
-            reject(error);
-        }
-    });
+function supportsWorkerInference() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap === 'function';
 }
 
 /**
- * Initialize MediaPipe Hands
- * @param {HTMLVideoElement} videoElement - Video source  
- * @returns {Promise<void>}
+ * Start the tracking worker and wait for its landmarkers to load
+ * @param {Object} options - Passed to createLandmarkers
+ * @returns {Promise<Worker>}
  */
-export async function initHands(videoElement) {
+function startWorker(options) {
+    // Callbacks and signals cannot cross to the worker; it posts progress messages instead
+    const { onProgress, signal, ...workerOptions } = options;
+
     return new Promise((resolve, reject) => {
-        try {
-            hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${file}`;
-                }
-            });
-
-            hands.setOptions({
-                maxNumHands: 2,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
-
-            hands.onResults((results) => {
-                latestHandResults = results;
-                if (onHandResults) onHandResults(results);
-            });
-
-            hands.initialize().then(() => {
-                console.log('[JARVIS] Hands initialized');
-                resolve();
-            });
-        } catch (error) {
-            console.error('[JARVIS] Hands initialization failed:', error);
-            reject(error);
-        }
+        const trackingWorker = new Worker(new URL('./tracking-worker.js', import.meta.url), { type: 'module' });
+
+        // Startup gave up: stop the downloads so a retry does not race this worker
+        const abort = () => {
+            trackingWorker.terminate();
+            reject(signal.reason);
+        };
+        if (signal) signal.addEventListener('abort', abort, { once: true });
+
+        trackingWorker.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.stage, message.loaded, message.total);
+            } else if (message.type === 'ready') {
+                if (signal) signal.removeEventListener('abort', abort);
+                trackingWorker.onmessage = handleWorkerMessage;
+                trackingWorker.onerror = (error) => {
+                    frameInFlight = false;
+                    console.warn('[JARVIS] Tracking worker error:', error.message);
+                };
+                resolve(trackingWorker);
+            } else if (message.type === 'error') {
+                trackingWorker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+
+        trackingWorker.onerror = (event) => {
+            trackingWorker.terminate();
+            reject(new Error(event.message || 'Tracking worker failed to start'));
+        };
+
+        trackingWorker.postMessage({ type: 'init', options: workerOptions });
     });
 }
 
+/**
+ * Apply results and errors posted by the tracking worker
+ * @param {MessageEvent} event
+ */
+function handleWorkerMessage(event) {
+    const message = event.data;
+    frameInFlight = false;
+
+    if (message.type === 'results') {
+        applyFrameResults(message);
+    } else if (message.type === 'error') {
+        console.warn('[JARVIS] Frame processing error:', message.message);
+    }
+}
+
 /**
  * Initialize all MediaPipe components
  * @param {HTMLVideoElement} videoElement - Video source
+ * @param {Object} options - Passed to createLandmarkers; options.signal abandons the load
  * @returns {Promise<void>}
  */
-export async function initMediaPipe(videoElement) {
-    // Initialize sequentially to avoid cross-loading conflicts
-    await initFaceMesh(videoElement);
-    await initHands(videoElement);
+export async function initMediaPipe(videoElement, options = {}) {
+    // A retry after a later startup stage failed keeps the running worker
+    if (isReady) return;
+
+    initScheduler();
+
+    if (supportsWorkerInference()) {
+        try {
+            worker = await startWorker(options);
+            console.log('[JARVIS] MediaPipe running in worker');
+        } catch (error) {
+            // An abandoned startup must not go on to load on the main thread
+            if (options.signal && options.signal.aborted) throw error;
+            console.warn('[JARVIS] Worker inference unavailable, using main thread:', error);
+        }
+    }
+
+    if (!worker) {
+        landmarkers = await createLandmarkers(options);
+    }
+
     isReady = true;
     console.log('[JARVIS] MediaPipe fully initialized');
 }
 
 /**
- * Process a video frame through both trackers
+ * Send a video frame to the trackers
+ * Frames the video has not advanced past, or that arrive while the
+ * previous frame is still being processed, are skipped
  * @param {HTMLVideoElement} videoElement - Video source
  */
 export async function processFrame(videoElement) {
-    if (!isReady) return;
+    if (!isReady || frameInFlight || !videoElement.videoWidth) return;
+    if (videoElement.currentTime === lastVideoTime) return;
+    lastVideoTime = videoElement.currentTime;
+    frameInFlight = true;
+
+    const timestamp = performance.now();
+    const plan = planTrackingFrame(timestamp, videoElement.videoWidth, videoElement.videoHeight);
 
     try {
-        await Promise.all([
-            faceMesh.send({ image: videoElement }),
-            hands.send({ image: videoElement })
-        ]);
+        const bitmap = typeof createImageBitmap === 'function'
+            ? await createImageBitmap(videoElement, {
+                resizeWidth: plan.width,
+                resizeHeight: plan.height,
+                resizeQuality: 'low'
+            })
+            : null;
+
+        if (worker) {
+            worker.postMessage({ type: 'frame', bitmap, timestamp, plan }, [bitmap]);
+        } else {
+            const results = detectLandmarks(landmarkers, bitmap || videoElement, timestamp, plan);
+            if (bitmap) bitmap.close();
+            applyFrameResults({ ...results, timestamp });
+            frameInFlight = false;
+        }
     } catch (error) {
+        frameInFlight = false;
         console.warn('[JARVIS] Frame processing error:', error);
     }
 }
 
+/**
+ * Push one tracked frame's results and report its latency to the scheduler
+ * @param {{faceResults: Object|null, handResults: Object|null, timestamp: number, inferenceTime: number}} frame
+ */
+function applyFrameResults(frame) {
+    // Trackers the scheduler skipped this frame keep their previous results
+    if (frame.faceResults) pushFaceResults(frame.faceResults, frame.timestamp);
+    if (frame.handResults) pushHandResults(frame.handResults, frame.timestamp);
+    recordTrackingLatency(frame.inferenceTime);
+}
+
+/**
+ * Store face results and notify the face callback
+ * Used by the face landmarker and by sources that replace it, such as recorded playback
+ * @param {Object} results - Results shaped like Face Mesh output
+ * @param {number} timestamp - Capture time of the frame in ms
+ */
+export function pushFaceResults(results, timestamp = performance.now()) {
+    latestFaceResults = results;
+    filterFaceResults(results, timestamp);
+    if (onFaceResults) onFaceResults(results, timestamp);
+}
+
+/**
+ * Store hand results and notify the hand callback
+ * Used by the hand landmarker and by sources that replace it, such as recorded playback
+ * @param {Object} results - Results shaped like Hands output
+ * @param {number} timestamp - Capture time of the frame in ms
+ */
+export function pushHandResults(results, timestamp = performance.now()) {
+    latestHandResults = results;
+    filterHandResults(results, timestamp);
+    if (onHandResults) onHandResults(results, timestamp);
+}
+
+/**
+ * Smooth the first face's landmarks
+ * @param {Object} results - Face Mesh results
+ * @param {number} timestamp - Result time in ms
+ */
+function filterFaceResults(results, timestamp) {
+    const face = results.multiFaceLandmarks && results.multiFaceLandmarks[0];
+
+    if (!face) {
+        faceFilter.reset();
+        filteredFaceLandmarks = null;
+        return;
+    }
+
+    filteredFaceLandmarks = faceFilter.apply(face, timestamp);
+}
+
+/**
+ * Assign stable identities to hands, then smooth each one with its own filter
+ * @param {Object} results - Hands results
+ * @param {number} timestamp - Result time in ms
+ */
+function filterHandResults(results, timestamp) {
+    const detections = (results.multiHandLandmarks || []).map((landmarks, index) => {
+        const classification = results.multiHandedness?.[index];
+        const label = classification?.label || 'Unknown';
+        return {
+            landmarks,
+            worldLandmarks: results.multiHandWorldLandmarks?.[index] || null,
+            gesture: results.multiHandGestures?.[index]?.[0] || null,
+            handedness: label === 'Left' ? 'Right' : 'Left', // Mirror for selfie view
+            score: classification?.score ?? 1
+        };
+    });
+
+    filteredHands = updateHandIdentities(detections, timestamp).map(hand => {
+        if (!handFilters.has(hand.id)) {
+            handFilters.set(hand.id, createLandmarkFilter());
+        }
+
+        return {
+            ...hand,
+            landmarks: handFilters.get(hand.id).apply(hand.landmarks, timestamp)
+        };
+    });
+
+    // Drop filters for hands that left the frame so they restart cleanly
+    const visibleIds = new Set(filteredHands.map(hand => hand.id));
+    [...handFilters.keys()].forEach(id => {
+        if (!visibleIds.has(id)) handFilters.delete(id);
+    });
+}
+
 /**
  * Get latest face landmarks
  * @returns {Object|null} Face mesh results
@@ -139,13 +291,12 @@ export function getHandResults() {
  * @returns {{x: number, y: number, z: number}|null}
  */
 export function getFacePosition() {
-    if (!latestFaceResults || !latestFaceResults.multiFaceLandmarks ||
-        latestFaceResults.multiFaceLandmarks.length === 0) {
+    if (!filteredFaceLandmarks) {
         return null;
     }
 
     // Nose tip is landmark index 1
-    const noseTip = latestFaceResults.multiFaceLandmarks[0][1];
+    const noseTip = filteredFaceLandmarks[1];
     return {
         x: noseTip.x,  // 0-1, left to right
         y: noseTip.y,  // 0-1, top to bottom
@@ -158,13 +309,12 @@ export function getFacePosition() {
  * @returns {{x: number, y: number}|null}
  */
 export function getForeheadPosition() {
-    if (!latestFaceResults || !latestFaceResults.multiFaceLandmarks ||
-        latestFaceResults.multiFaceLandmarks.length === 0) {
+    if (!filteredFaceLandmarks) {
         return null;
     }
 
     // Forehead center is around landmark index 10
-    const forehead = latestFaceResults.multiFaceLandmarks[0][10];
+    const forehead = filteredFaceLandmarks[10];
     return {
         x: forehead.x,
         y: forehead.y
@@ -172,21 +322,14 @@ export function getForeheadPosition() {
 }
 
 /**
- * Get hand landmarks with handedness
- * @returns {Array<{landmarks: Array, handedness: string}>}
+ * Get smoothed hand landmarks with stable identity and handedness
+ * Handedness is already mirrored for the selfie view and never repeats
+ * between two visible hands. worldLandmarks (metric, hand-centered) and
+ * gesture (top recognizer category) are null when the source lacks them.
+ * @returns {Array<{id: number, landmarks: Array, worldLandmarks: Array|null, gesture: {name: string, score: number}|null, handedness: string, score: number, sideConfidence: number, confidence: number}>}
  */
 export function getHands() {
-    if (!latestHandResults || !latestHandResults.multiHandLandmarks) {
-        return [];
-    }
-
-    return latestHandResults.multiHandLandmarks.map((landmarks, index) => {
-        const handedness = latestHandResults.multiHandedness[index]?.label || 'Unknown';
-        return {
-            landmarks,
-            handedness: handedness === 'Left' ? 'Right' : 'Left' // Mirror for selfie view
-        };
-    });
+    return filteredHands;
 }
 
 /**
@@ -200,8 +343,31 @@ export function getHand(handType) {
     return hand ? hand.landmarks : null;
 }
 
+/**
+ * Get the built-in gesture category recognized for a hand
+ * Categories are MediaPipe's canned set: Closed_Fist, Open_Palm, Pointing_Up,
+ * Thumb_Down, Thumb_Up, Victory, ILoveYou and None
+ * @param {'Left'|'Right'} handType - Which hand to check
+ * @returns {{name: string, score: number}|null}
+ */
+export function getHandGesture(handType) {
+    const hand = getHands().find(h => h.handedness === handType);
+    return hand ? hand.gesture : null;
+}
+
+/**
+ * Get world landmarks for a hand, in meters around the hand's center
+ * @param {'Left'|'Right'} handType - Which hand to get
+ * @returns {Array|null}
+ */
+export function getHandWorldLandmarks(handType) {
+    const hand = getHands().find(h => h.handedness === handType);
+    return hand ? hand.worldLandmarks : null;
+}
+
 /**
  * Convert normalized coordinates to screen space
+ * Follows the background's cover/contain fit, so points match the video
  * @param {number} normalizedX - 0-1 range
  * @param {number} normalizedY - 0-1 range
  * @param {number} width - Screen width
@@ -209,14 +375,17 @@ export function getHand(handType) {
  * @returns {{x: number, y: number}}
  */
 export function toScreenSpace(normalizedX, normalizedY, width, height) {
+    const { scaleX, scaleY } = getVideoFit(width, height);
+
     return {
-        x: (1 - normalizedX) * width, // Mirror for selfie
-        y: normalizedY * height
+        x: (0.5 + (0.5 - normalizedX) * scaleX) * width, // Mirror for selfie
+        y: (0.5 + (normalizedY - 0.5) * scaleY) * height
     };
 }
 
 /**
  * Convert normalized coordinates to Three.js world space
+ * Follows the background's cover/contain fit, so points match the video
  * @param {number} normalizedX - 0-1 range
  * @param {number} normalizedY - 0-1 range
  * @param {number} depth - Z depth
@@ -224,9 +393,10 @@ export function toScreenSpace(normalizedX, normalizedY, width, height) {
  * @returns {THREE.Vector3}
  */
 export function toWorldSpace(normalizedX, normalizedY, depth, camera) {
-    // Convert to NDC (-1 to 1)
-    const ndcX = (1 - normalizedX) * 2 - 1; // Mirror 
-    const ndcY = -(normalizedY * 2 - 1);
+    // Convert to NDC (-1 to 1 across the visible video)
+    const { scaleX, scaleY } = getVideoFit();
+    const ndcX = (1 - normalizedX * 2) * scaleX; // Mirror
+    const ndcY = -(normalizedY * 2 - 1) * scaleY;
 
     // Create a vector in clip space
     const vector = new THREE.Vector3(ndcX, ndcY, 0.5);
@@ -241,7 +411,7 @@ export function toWorldSpace(normalizedX, normalizedY, depth, camera) {
 
 /**
  * Set callback for face results
- * @param {Function} callback
+ * @param {Function} callback - Called with the results and their capture time in ms
  */
 export function setFaceResultsCallback(callback) {
     onFaceResults = callback;
@@ -249,7 +419,7 @@ export function setFaceResultsCallback(callback) {
 
 /**
  * Set callback for hand results
- * @param {Function} callback
+ * @param {Function} callback - Called with the results and their capture time in ms
  */
 export function setHandResultsCallback(callback) {
     onHandResults = callback;
@@ -262,3 +432,26 @@ export function setHandResultsCallback(callback) {
 export function isMediaPipeReady() {
     return isReady;
 }
+
+/**
+ * Tracker provider for tracking.js
+ */
+export const mediaPipeTracker = {
+    label: 'MediaPipe',
+    usesCamera: true,
+    startupStages: ['faceModel', 'handModel'],
+    init: ({ videoElement, params, onProgress, signal }) => initMediaPipe(videoElement, {
+        recognizeGestures: params.get('gestureModel') !== '0',
+        assets: window.JARVIS_ASSETS.urls, // From asset-manifest.js
+        onProgress,
+        signal
+    }),
+
+    update() {
+        if (isReady && isCameraReady()) {
+            processFrame(getVideoElement());
+        }
+    },
+
+    isReady: isMediaPipeReady
+};
@@ -0,0 +1,145 @@
+/**
+ * JARVIS AR - Picking Module
+ * Points at the Earth with the index fingertip
+ *
+ * Each frame a ray from the camera through the fingertip, placed with
+ * toWorldSpace so it follows the video fit, is cast against the Earths on
+ * screen. The hit gives the latitude and longitude under the finger, in the
+ * texture's UV layout, lights up the globe particles around it and shows a
+ * reticle on the surface. getPick() exposes the result for selecting and
+ * placing things on the globe.
+ */
+
+import * as THREE from 'three';
+import { getHand } from './tracking.js';
+import { toWorldSpace } from './mediapipe.js';
+import {
+    getEarthInstances, getEarthRadius, getLatLong, highlightParticles, clearParticleHighlight
+} from './earth.js';
+import { updatePickStatus } from './hud.js';
+
+const POINTER_HANDS = ['Right', 'Left'];  // Checked in order, the first hand whose ray hits points
+const INDEX_FINGER_TIP = 8;
+const HIGHLIGHT_RADIUS = 0.08;            // Globe-space distance of particles lit around the hit
+const RETICLE_LIFT = 0.01;                // Reticle height above the surface, in globe radii
+const RETICLE_SIZE = 0.13;                // Reticle radius, in globe radii
+
+let reticle = null;
+let pick = null;
+let highlightedEarth = null;
+
+/**
+ * Create the surface reticle
+ * @param {THREE.Scene} scene - Three.js scene
+ */
+export function initPicking(scene) {
+    if (reticle) return;
+
+    const material = new THREE.MeshBasicMaterial({
+        color: 0x00D4FF,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending,
+        depthTest: false
+    });
+
+    reticle = new THREE.Group();
+    // Sized in globe radii, scaled to the picked Earth
+    reticle.add(new THREE.Mesh(new THREE.RingGeometry(RETICLE_SIZE * 0.75, RETICLE_SIZE, 32), material));
+    reticle.add(new THREE.Mesh(new THREE.CircleGeometry(RETICLE_SIZE * 0.2, 16), material));
+    reticle.renderOrder = 10;
+    reticle.visible = false;
+    reticle.name = 'pickReticle';
+
+    scene.add(reticle);
+}
+
+/**
+ * Cast the fingertip ray and update the highlight, reticle and pick
+ * Call after the Earths have moved for this frame
+ * @param {THREE.Camera} camera - Three.js camera
+ */
+export function updatePicking(camera) {
+    const hit = findHit(camera);
+
+    if (highlightedEarth && (!hit || hit.earth !== highlightedEarth)) {
+        clearParticleHighlight(highlightedEarth);
+        highlightedEarth = null;
+    }
+
+    if (!hit) {
+        pick = null;
+        if (reticle) reticle.visible = false;
+        updatePickStatus(null);
+        return;
+    }
+
+    // Globe space undoes the Earth's position, rotation and scale
+    const localPoint = hit.earth.worldToLocal(hit.point.clone());
+    const surface = highlightParticles(hit.earth, localPoint, HIGHLIGHT_RADIUS);
+    highlightedEarth = hit.earth;
+
+    pick = {
+        hand: hit.hand,
+        earth: hit.earth,
+        point: hit.point,
+        ...getLatLong(localPoint.x, localPoint.y, localPoint.z),
+        surface
+    };
+
+    if (reticle) {
+        const normal = hit.point.clone().sub(hit.center).normalize();
+        reticle.position.copy(hit.point).addScaledVector(normal, hit.radius * RETICLE_LIFT);
+        reticle.lookAt(reticle.position.clone().add(normal));
+        reticle.scale.setScalar(hit.radius);
+        reticle.visible = true;
+    }
+
+    updatePickStatus(pick);
+}
+
+/**
+ * Find the nearest Earth a pointing fingertip's ray hits
+ * @param {THREE.Camera} camera - Three.js camera
+ * @returns {{hand: string, earth: THREE.Group, point: THREE.Vector3, center: THREE.Vector3, radius: number}|null}
+ */
+function findHit(camera) {
+    const earths = getEarthInstances();
+    if (earths.length === 0) return null;
+
+    for (const hand of POINTER_HANDS) {
+        const landmarks = getHand(hand);
+        if (!landmarks) continue;
+
+        const tip = landmarks[INDEX_FINGER_TIP];
+        const through = toWorldSpace(tip.x, tip.y, -1, camera);
+        const ray = new THREE.Ray(camera.position.clone(), through.sub(camera.position).normalize());
+
+        let nearest = null;
+        earths.forEach(earth => {
+            const center = earth.getWorldPosition(new THREE.Vector3());
+            const radius = getEarthRadius(earth);
+            const point = ray.intersectSphere(new THREE.Sphere(center, radius), new THREE.Vector3());
+            if (!point) return;
+
+            const distance = point.distanceTo(ray.origin);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { hand, earth, point, center, radius, distance };
+            }
+        });
+
+        if (nearest) return nearest;
+    }
+
+    return null;
+}
+
+/**
+ * Get what the finger is pointing at
+ * @returns {{hand: string, earth: THREE.Group, point: THREE.Vector3, latitude: number, longitude: number, surface: number|null}|null}
+ *   surface is SURFACE_OCEAN, SURFACE_LAND or SURFACE_ICE from earth.js
+ */
+export function getPick() {
+    return pick;
+}
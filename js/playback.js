@@ -0,0 +1,230 @@
+/**
+ * JARVIS AR - Playback Module
+ * Replays recorded landmark sessions in place of the live webcam
+ *
+ * Recording format: JSON (an array of frames, or {version, frames}) or
+ * NDJSON with one frame per line. Each frame is
+ *   { t, multiHandLandmarks, multiHandedness, multiFaceLandmarks }
+ * where t is milliseconds since the recording started. A frame may carry
+ * only hand or only face fields; missing fields leave that tracker as is.
+ *
+ * Enable with URL parameters:
+ *   ?playback=recordings/session.ndjson  - recording to replay
+ *   &speed=2                             - playback rate (default 1)
+ *   &loop=0                              - stop at the end instead of looping
+ */
+
+import { pushFaceResults, pushHandResults } from './mediapipe.js';
+
+export const RECORDING_VERSION = 1;
+
+const DEFAULT_FRAME_INTERVAL = 1000 / 30; // Used when frames carry no timestamp
+
+let frames = [];
+let frameIndex = 0;
+let playbackStart = 0;
+let playbackSpeed = 1;
+let playbackLoop = true;
+let isPlaying = false;
+let frameTime = 0;  // Scheduled time of the last applied frame, on the performance.now() clock
+
+/**
+ * Read playback options from the page URL
+ * @returns {{url: string, speed: number, loop: boolean}|null} Options, or null for live camera
+ */
+export function getPlaybackOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const url = params.get('playback');
+
+    if (!url) {
+        return null;
+    }
+
+    const speed = parseFloat(params.get('speed'));
+
+    return {
+        url,
+        speed: speed > 0 ? speed : 1,
+        loop: params.get('loop') !== '0'
+    };
+}
+
+/**
+ * Parse a JSON or NDJSON recording into time-ordered frames
+ * @param {string} text - Recording file contents
+ * @returns {Array<Object>} Frames with t relative to the first frame
+ */
+export function parseRecording(text) {
+    const trimmed = text.trim();
+    let parsed;
+
+    if (trimmed.startsWith('[') || isJsonDocument(trimmed)) {
+        parsed = JSON.parse(trimmed);
+        if (!Array.isArray(parsed)) {
+            parsed = parsed.frames || [parsed];
+        }
+    } else {
+        parsed = trimmed.split(/\r?\n/)
+            .filter(line => line.trim().length > 0)
+            .map(line => JSON.parse(line));
+    }
+
+    if (!Array.isArray(parsed)) {
+        throw new Error('Recording has no frames');
+    }
+
+    const parsedFrames = parsed.map((frame, index) => ({
+        ...frame,
+        t: typeof frame.t === 'number' ? frame.t : index * DEFAULT_FRAME_INTERVAL
+    }));
+
+    parsedFrames.sort((a, b) => a.t - b.t);
+
+    // Recordings may use absolute timestamps, replay relative to the first frame
+    const startTime = parsedFrames.length > 0 ? parsedFrames[0].t : 0;
+    parsedFrames.forEach(frame => {
+        frame.t -= startTime;
+    });
+
+    return parsedFrames;
+}
+
+/**
+ * Check whether text is a single JSON object rather than NDJSON lines
+ * @param {string} text - Trimmed file contents
+ * @returns {boolean}
+ */
+function isJsonDocument(text) {
+    if (!text.startsWith('{')) return false;
+
+    try {
+        JSON.parse(text);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Fetch and parse a recording
+ * @param {string} url - Recording location
+ * @returns {Promise<Array<Object>>} Parsed frames
+ */
+export async function loadRecording(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Recording not found: ${url} (${response.status})`);
+    }
+
+    return parseRecording(await response.text());
+}
+
+/**
+ * Load a recording and start replaying it
+ * @param {{url: string, speed?: number, loop?: boolean}} options - Playback options
+ * @returns {Promise<void>}
+ */
+export async function initPlayback(options) {
+    frames = await loadRecording(options.url);
+    playbackSpeed = options.speed || 1;
+    playbackLoop = options.loop !== false;
+
+    restartPlayback();
+    console.log('[JARVIS] Playback loaded:', frames.length, 'frames from', options.url);
+}
+
+/**
+ * Rewind playback to the first frame
+ */
+export function restartPlayback() {
+    frameIndex = 0;
+    playbackStart = performance.now();
+    isPlaying = frames.length > 0;
+}
+
+/**
+ * Push every recorded frame that is due to the tracking results
+ * @param {number} now - Current time in milliseconds
+ */
+export function updatePlayback(now = performance.now()) {
+    if (!isPlaying) return;
+
+    const elapsed = (now - playbackStart) * playbackSpeed;
+
+    while (frameIndex < frames.length && frames[frameIndex].t <= elapsed) {
+        applyFrame(frames[frameIndex], playbackStart + frames[frameIndex].t / playbackSpeed);
+        frameIndex++;
+    }
+
+    if (frameIndex >= frames.length) {
+        if (playbackLoop) {
+            restartPlayback();
+        } else {
+            // Recording finished, clear tracking so no hand stays frozen
+            pushFaceResults({ multiFaceLandmarks: [] });
+            pushHandResults({ multiHandLandmarks: [], multiHandedness: [] });
+            isPlaying = false;
+            console.log('[JARVIS] Playback finished');
+        }
+    }
+}
+
+/**
+ * Push one recorded frame to the tracking results
+ * Frames carry their recorded time, not the render time that happened to
+ * pick them up, so filtering and gesture timing replay the same every run
+ * @param {Object} frame - Recorded frame
+ * @param {number} timestamp - When the frame is due, in ms
+ */
+function applyFrame(frame, timestamp) {
+    frameTime = timestamp;
+
+    if (frame.multiFaceLandmarks) {
+        pushFaceResults({ multiFaceLandmarks: frame.multiFaceLandmarks }, timestamp);
+    }
+
+    if (frame.multiHandLandmarks) {
+        pushHandResults({
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness || []
+        }, timestamp);
+    }
+}
+
+/**
+ * Get the time the replayed results belong to
+ * @param {number} now - Current time in ms, used once playback has stopped
+ * @returns {number} Time in ms
+ */
+export function getPlaybackTime(now = performance.now()) {
+    return isPlaying ? frameTime : now;
+}
+
+/**
+ * Check if a recording is being replayed
+ * @returns {boolean}
+ */
+export function isPlaybackActive() {
+    return isPlaying;
+}
+
+/**
+ * Tracker provider for tracking.js
+ */
+export const playbackTracker = {
+    label: 'Recorded file',
+    usesCamera: false,
+
+    async init() {
+        const options = getPlaybackOptions();
+        if (!options) {
+            throw new Error('Playback tracker needs a ?playback= recording URL');
+        }
+        await initPlayback(options);
+    },
+
+    update: updatePlayback,
+    clock: getPlaybackTime,
+    isReady: () => frames.length > 0
+};
@@ -0,0 +1,183 @@
+/**
+ * JARVIS AR - Startup Progress Module
+ * Reports each startup stage to the loading screen and catches stalls
+ *
+ * main.js starts each stage in turn; model downloads report their bytes as
+ * they arrive. A stage that makes no progress for its slow time shows a
+ * warning, and one that stalls past its timeout fails startup with a
+ * StageTimeoutError naming it. Progress resets both timers, so a slow but
+ * moving download is never cut off.
+ */
+
+import { setLoadingProgress } from './hud.js';
+import { createStageTimeoutError } from './errors.js';
+
+// text: loading screen status; weight: share of the progress bar;
+// slowAfter/timeout: ms without progress before warning/failing
+export const STARTUP_STAGES = {
+    renderer: { label: 'Renderer', text: 'Starting renderer...', weight: 1, slowAfter: 3000, timeout: 15000 },
+    camera: { label: 'Camera permission', text: 'Waiting for camera permission...', weight: 1, slowAfter: 8000, timeout: 60000 },
+    video: { label: 'Video file', text: 'Loading video file...', weight: 1, slowAfter: 8000, timeout: 30000 },
+    faceModel: { label: 'Face model download', text: 'Downloading face model...', weight: 4, slowAfter: 8000, timeout: 30000 },
+    handModel: { label: 'Hand model download', text: 'Downloading hand model...', weight: 4, slowAfter: 8000, timeout: 30000 },
+    tracker: { label: 'Tracking data', text: 'Loading tracking data...', weight: 2, slowAfter: 8000, timeout: 30000 },
+    earth: { label: 'Earth texture', text: 'Loading Earth texture...', weight: 2, slowAfter: 5000, timeout: 20000 },
+    hud: { label: 'HUD', text: 'Building HUD...', weight: 1, slowAfter: 3000, timeout: 10000 }
+};
+
+let stageIds = [];
+let currentStage = null;
+let stageFraction = 0;
+let stageDetail = '';
+let slowTimer = null;
+let stallTimer = null;
+let stallError = null;
+let onStall = null;
+
+/**
+ * Start reporting a new startup
+ * @param {string[]} ids - Keys of STARTUP_STAGES, in the order they run
+ */
+export function beginStartup(ids) {
+    clearTimers();
+    stageIds = ids.filter(id => STARTUP_STAGES[id]);
+    currentStage = null;
+    stallError = null;
+    onStall = null;
+    setLoadingProgress(0, 'Initializing Systems...');
+}
+
+/**
+ * Make a stage current, completing the one before it
+ * @param {string} id - Key of STARTUP_STAGES
+ */
+export function startStage(id) {
+    if (id === currentStage || !STARTUP_STAGES[id]) return;
+
+    currentStage = id;
+    stageFraction = 0;
+    stageDetail = '';
+    armTimers();
+    render();
+}
+
+/**
+ * Report progress within a stage, starting it if needed
+ * @param {string} id - Key of STARTUP_STAGES
+ * @param {number} fraction - 0-1 share of the stage done
+ * @param {string} detail - Extra status, such as bytes downloaded
+ */
+export function reportStageProgress(id, fraction, detail = '') {
+    startStage(id);
+    if (id !== currentStage) return;
+
+    stageFraction = Math.min(Math.max(fraction, 0), 1);
+    stageDetail = detail;
+    armTimers();
+    render();
+}
+
+/**
+ * Report a download's bytes within a stage
+ * @param {string} id - Key of STARTUP_STAGES
+ * @param {number} loaded - Bytes received
+ * @param {number} total - Expected bytes, 0 when the server does not say
+ */
+export function reportDownloadProgress(id, loaded, total) {
+    const detail = total
+        ? `${formatMegabytes(loaded)} / ${formatMegabytes(total)} MB`
+        : `${formatMegabytes(loaded)} MB`;
+    reportStageProgress(id, total ? loaded / total : 0, detail);
+}
+
+/**
+ * Finish startup, filling the bar
+ */
+export function finishStartup() {
+    clearTimers();
+    currentStage = null;
+    onStall = null;
+    setLoadingProgress(1, 'All systems online');
+}
+
+/**
+ * Stop watching a startup that failed, leaving its error on screen
+ */
+export function cancelStartup() {
+    clearTimers();
+    currentStage = null;
+    onStall = null;
+}
+
+/**
+ * Wait for startup work, failing if the current stage stalls meanwhile
+ * @param {Promise} promise - Work covering one or more stages
+ * @returns {Promise<*>} The work's result
+ */
+export function watchStartup(promise) {
+    if (stallError) return Promise.reject(stallError);
+
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => { onStall = reject; })
+    ]);
+}
+
+/**
+ * Restart the slow and stall timers for the current stage
+ */
+function armTimers() {
+    clearTimers();
+    const stage = STARTUP_STAGES[currentStage];
+    const id = currentStage;
+
+    slowTimer = setTimeout(() => {
+        stageDetail = stageDetail ? `${stageDetail} - slow` : 'Taking longer than usual';
+        render(true);
+        console.warn('[JARVIS] Startup stage is slow:', id);
+    }, stage.slowAfter);
+
+    stallTimer = setTimeout(() => {
+        stallError = createStageTimeoutError(id, stage.label, stage.timeout);
+        console.error('[JARVIS] Startup stage stalled:', id);
+        if (onStall) onStall(stallError);
+    }, stage.timeout);
+}
+
+/**
+ * Stop the slow and stall timers
+ */
+function clearTimers() {
+    clearTimeout(slowTimer);
+    clearTimeout(stallTimer);
+}
+
+/**
+ * Show overall progress and the current stage on the loading screen
+ * @param {boolean} slow - Whether the stage is past its slow time
+ */
+function render(slow = false) {
+    const currentIndex = stageIds.indexOf(currentStage);
+    let done = 0;
+    let total = 0;
+
+    stageIds.forEach((id, index) => {
+        const weight = STARTUP_STAGES[id].weight;
+        total += weight;
+
+        if (index < currentIndex) done += weight;
+        if (index === currentIndex) done += weight * stageFraction;
+    });
+
+    const stage = STARTUP_STAGES[currentStage];
+    setLoadingProgress(total ? done / total : 0, stage ? stage.text : '', stageDetail, slow);
+}
+
+/**
+ * Format a byte count in megabytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
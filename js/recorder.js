@@ -0,0 +1,180 @@
+/**
+ * JARVIS AR - Recorder Module
+ * Captures live hand and face results to a downloadable recording
+ * Recordings use the format read by playback.js
+ */
+
+import { setFaceResultsCallback, setHandResultsCallback } from './mediapipe.js';
+import { RECORDING_VERSION } from './playback.js';
+import { updateRecordingStatus } from './hud.js';
+import { isTypingTarget } from './settings.js';
+
+const RECORD_HOTKEY = 'r';
+const COORDINATE_PRECISION = 5; // Decimal places kept per landmark coordinate
+
+let frames = [];
+let firstCaptureTime = null; // Capture time of the first recorded frame, in ms
+let isRecording = false;
+
+/**
+ * Register result callbacks and the record hotkey
+ */
+export function initRecorder() {
+    setFaceResultsCallback(recordFaceResults);
+    setHandResultsCallback(recordHandResults);
+
+    window.addEventListener('keydown', (e) => {
+        if (e.key.toLowerCase() !== RECORD_HOTKEY || e.repeat) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+
+        toggleRecording();
+    });
+
+    updateRecordingStatus(false, 0);
+}
+
+/**
+ * Start recording, or stop and download the current recording
+ */
+export function toggleRecording() {
+    if (isRecording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+/**
+ * Start capturing results
+ */
+export function startRecording() {
+    if (isRecording) return;
+
+    frames = [];
+    firstCaptureTime = null;
+    isRecording = true;
+
+    updateRecordingStatus(true, 0);
+    console.log('[JARVIS] Recording started');
+}
+
+/**
+ * Stop capturing and download the recording
+ * @returns {Object|null} The recording, or null if nothing was recording
+ */
+export function stopRecording() {
+    if (!isRecording) return null;
+
+    isRecording = false;
+
+    const recording = {
+        version: RECORDING_VERSION,
+        recordedAt: new Date().toISOString(),
+        frames
+    };
+    frames = [];
+
+    updateRecordingStatus(false, 0);
+    console.log('[JARVIS] Recording stopped:', recording.frames.length, 'frames');
+
+    downloadRecording(recording);
+    return recording;
+}
+
+/**
+ * Check if a recording is in progress
+ * @returns {boolean}
+ */
+export function isRecordingActive() {
+    return isRecording;
+}
+
+/**
+ * Capture a Face Mesh result
+ * @param {Object} results - Face Mesh results
+ * @param {number} timestamp - Capture time of the frame in ms
+ */
+function recordFaceResults(results, timestamp) {
+    if (!isRecording) return;
+
+    addFrame({
+        multiFaceLandmarks: (results.multiFaceLandmarks || []).map(serializeLandmarks)
+    }, timestamp);
+}
+
+/**
+ * Capture a Hands result
+ * @param {Object} results - Hands results
+ * @param {number} timestamp - Capture time of the frame in ms
+ */
+function recordHandResults(results, timestamp) {
+    if (!isRecording) return;
+
+    addFrame({
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(serializeLandmarks),
+        multiHandedness: (results.multiHandedness || []).map(h => ({
+            index: h.index,
+            score: h.score,
+            label: h.label
+        }))
+    }, timestamp);
+}
+
+/**
+ * Timestamp a frame and append it to the recording
+ * Frames are timed by capture, not by when inference finished, so playback
+ * keeps the camera's pacing
+ * @param {Object} frame - Frame fields
+ * @param {number} timestamp - Capture time of the frame in ms
+ */
+function addFrame(frame, timestamp = performance.now()) {
+    if (firstCaptureTime === null) firstCaptureTime = timestamp;
+
+    const t = timestamp - firstCaptureTime;
+    frames.push({ t: Math.round(t * 10) / 10, ...frame });
+    updateRecordingStatus(true, t / 1000);
+}
+
+/**
+ * Copy landmarks to plain objects with limited precision
+ * @param {Array} landmarks - MediaPipe landmarks
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+function serializeLandmarks(landmarks) {
+    return landmarks.map(point => ({
+        x: roundCoordinate(point.x),
+        y: roundCoordinate(point.y),
+        z: roundCoordinate(point.z || 0)
+    }));
+}
+
+/**
+ * Round a coordinate to COORDINATE_PRECISION decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCoordinate(value) {
+    const factor = Math.pow(10, COORDINATE_PRECISION);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Save a recording as a JSON file
+ * @param {Object} recording - Recording to save
+ */
+function downloadRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const stamp = recording.recordedAt.replace(/[:.]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `jarvis-recording-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
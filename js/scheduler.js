@@ -0,0 +1,103 @@
+/**
+ * JARVIS AR - Tracking Scheduler Module
+ * Decides what each tracking frame runs and adapts quality to inference latency
+ *
+ * Hands run on every frame the tracker accepts; the face runs at a lower
+ * rate since the HUD only follows the head. Inference latency is averaged
+ * and, when it stays over the frame budget, the scheduler steps down to a
+ * smaller input resolution and a slower face rate. The Tasks Vision models
+ * have no modelComplexity setting, so resolution is the main lever. When
+ * latency falls well under budget it steps back up.
+ *
+ * Pin a level with ?trackingQuality=0 (best) to 3 (fastest).
+ */
+
+// Quality levels, best first
+const QUALITY_LEVELS = [
+    { inputWidth: 640, faceInterval: 100 },
+    { inputWidth: 480, faceInterval: 200 },
+    { inputWidth: 320, faceInterval: 300 },
+    { inputWidth: 256, faceInterval: 500 }
+];
+
+const FRAME_BUDGET = 1000 / 30;   // ms of inference that keeps tracking at 30 FPS
+const RECOVER_RATIO = 0.5;        // Step up again when latency is under this share of the budget
+const LATENCY_SMOOTHING = 0.1;    // EMA weight of each new latency sample
+const ADAPT_COOLDOWN = 2000;      // ms between level changes, lets the average settle
+
+let level = 0;
+let pinnedLevel = null;
+let averageLatency = 0;
+let lastFaceTime = -Infinity;
+let lastLevelChange = 0;
+
+/**
+ * Read a pinned quality level from the page URL
+ */
+export function initScheduler() {
+    const param = new URLSearchParams(window.location.search).get('trackingQuality');
+    const pinned = parseInt(param, 10);
+
+    if (pinned >= 0 && pinned < QUALITY_LEVELS.length) {
+        pinnedLevel = pinned;
+        level = pinned;
+        console.log('[JARVIS] Tracking quality pinned to level', pinned);
+    }
+}
+
+/**
+ * Plan the next tracking frame
+ * @param {number} now - Current time in ms
+ * @param {number} videoWidth - Source width in pixels
+ * @param {number} videoHeight - Source height in pixels
+ * @returns {{trackFace: boolean, trackHands: boolean, width: number, height: number}}
+ *   Which trackers to run and the input size, never larger than the source
+ */
+export function planTrackingFrame(now, videoWidth, videoHeight) {
+    const quality = QUALITY_LEVELS[level];
+    const trackFace = now - lastFaceTime >= quality.faceInterval;
+    if (trackFace) lastFaceTime = now;
+
+    const width = Math.min(videoWidth, quality.inputWidth);
+    const height = videoWidth > 0 ? Math.round(videoHeight * width / videoWidth) : videoHeight;
+
+    return { trackFace, trackHands: true, width, height };
+}
+
+/**
+ * Record how long a tracking frame's inference took and adapt quality
+ * @param {number} latency - Inference time in ms
+ * @param {number} now - Current time in ms
+ */
+export function recordTrackingLatency(latency, now = performance.now()) {
+    averageLatency = averageLatency === 0
+        ? latency
+        : averageLatency + (latency - averageLatency) * LATENCY_SMOOTHING;
+
+    if (pinnedLevel !== null || now - lastLevelChange < ADAPT_COOLDOWN) return;
+
+    if (averageLatency > FRAME_BUDGET && level < QUALITY_LEVELS.length - 1) {
+        setLevel(level + 1, now);
+    } else if (averageLatency < FRAME_BUDGET * RECOVER_RATIO && level > 0) {
+        setLevel(level - 1, now);
+    }
+}
+
+/**
+ * Change the quality level
+ * @param {number} next - New level index
+ * @param {number} now - Current time in ms
+ */
+function setLevel(next, now) {
+    console.log(`[JARVIS] Tracking quality ${level} -> ${next} (latency ${averageLatency.toFixed(1)}ms)`);
+    level = next;
+    lastLevelChange = now;
+}
+
+/**
+ * Get scheduler statistics for display
+ * @returns {{level: number, averageLatency: number, inputWidth: number, faceInterval: number}}
+ */
+export function getSchedulerStats() {
+    return { level, averageLatency, ...QUALITY_LEVELS[level] };
+}
@@ -0,0 +1,116 @@
+/**
+ * JARVIS AR - Settings Panel Module
+ * In-app settings panel that other modules add sections to
+ */
+
+const SETTINGS_HOTKEY = 's';
+
+let panel = null;
+let sectionsContainer = null;
+
+/**
+ * Setup the settings panel toggle button, close button and hotkey
+ */
+export function initSettingsPanel() {
+    panel = document.getElementById('settings-panel');
+    sectionsContainer = document.getElementById('settings-sections');
+
+    const toggleButton = document.getElementById('settings-toggle');
+    if (toggleButton) {
+        toggleButton.addEventListener('click', () => toggleSettingsPanel());
+    }
+
+    const closeButton = document.getElementById('settings-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', () => toggleSettingsPanel(false));
+    }
+
+    window.addEventListener('keydown', (e) => {
+        if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key.toLowerCase() === SETTINGS_HOTKEY && !e.repeat) {
+            toggleSettingsPanel();
+        } else if (e.key === 'Escape') {
+            toggleSettingsPanel(false);
+        }
+    });
+}
+
+/**
+ * Show, hide or toggle the settings panel
+ * @param {boolean} [show] - Omit to toggle
+ */
+export function toggleSettingsPanel(show) {
+    if (!panel) return;
+
+    const visible = show === undefined ? panel.classList.contains('hidden') : show;
+    panel.classList.toggle('hidden', !visible);
+}
+
+/**
+ * Add a titled section to the settings panel
+ * @param {string} title - Section header
+ * @returns {HTMLElement|null} Section body to populate, null without a panel
+ */
+export function addSettingsSection(title) {
+    if (!sectionsContainer) return null;
+
+    const section = document.createElement('section');
+    section.className = 'settings-section';
+
+    const header = document.createElement('div');
+    header.className = 'panel-header';
+    header.textContent = title;
+
+    const body = document.createElement('div');
+    body.className = 'settings-body';
+
+    section.append(header, body);
+    sectionsContainer.appendChild(section);
+
+    return body;
+}
+
+/**
+ * Create a labelled settings row
+ * @param {string} labelText - Row label
+ * @param {HTMLElement} input - Control shown on the right
+ * @returns {HTMLLabelElement}
+ */
+export function createSettingsRow(labelText, input) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+
+    const label = document.createElement('span');
+    label.className = 'status-label';
+    label.textContent = labelText;
+
+    row.append(label, input);
+    return row;
+}
+
+/**
+ * Create a settings button
+ * @param {string} text - Button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+export function createSettingsButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Check if a key event comes from a text field, where hotkeys should not fire
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+export function isTypingTarget(target) {
+    return target instanceof HTMLInputElement ||
+        target instanceof HTMLTextAreaElement ||
+        target instanceof HTMLSelectElement;
+}
@@ -0,0 +1,235 @@
+/**
+ * JARVIS AR - Synthetic Tracking Module
+ * Scripted hands and face for demos and testing without a camera
+ *
+ * A script is a list of steps played in order (and looped):
+ *   { duration, left, right, face }
+ * where left/right are null (hand hidden) or
+ *   { pose: 'open'|'fist'|'pinch', x, y, size, motion: 'wave'|'squeeze' }
+ * x and y are the palm's normalized position in the camera image (not
+ * mirrored), size is the wrist to middle finger MCP length, and face is
+ * false to hide the face. Missing values use the defaults below.
+ *
+ * Enable with ?tracker=synthetic, optionally &script=scripts/demo.json
+ */
+
+import { pushFaceResults, pushHandResults } from './mediapipe.js';
+
+const DEFAULT_HAND_SIZE = 0.1;   // Wrist to middle MCP, normalized image units
+const WAVE_AMPLITUDE = 0.08;     // Horizontal travel of a waving hand
+const WAVE_FREQUENCY = 1.5;      // Waves per second
+const SQUEEZE_FREQUENCY = 0.5;   // Pinch open/close cycles per second
+const FACE_LANDMARK_COUNT = 478;
+const HANDEDNESS_SCORE = 0.98;
+
+// Raw camera positions: the user's left hand shows on the image's right
+const DEFAULT_POSITIONS = {
+    left: { x: 0.7, y: 0.6 },
+    right: { x: 0.3, y: 0.6 }
+};
+
+export const DEFAULT_SCRIPT = [
+    { duration: 2000, left: null, right: { pose: 'open' } },
+    { duration: 2000, left: null, right: { pose: 'fist' } },
+    { duration: 2000, left: null, right: { pose: 'open' } },
+    { duration: 3000, left: null, right: { pose: 'pinch', motion: 'squeeze' } },
+    { duration: 3000, left: null, right: { pose: 'open', motion: 'wave' } },
+    { duration: 1000, left: null, right: null },
+    { duration: 3000, left: { pose: 'open' }, right: { pose: 'open' } },
+    { duration: 3000, left: { pose: 'fist', x: 0.53 }, right: { pose: 'fist', x: 0.47 } },
+    { duration: 2000, left: null, right: null }
+];
+
+// Finger chains in hand-size units: MCP position and segment lengths
+const FINGERS = [
+    { mcp: [0.3, -0.95], segments: [0.45, 0.27, 0.22] },   // Index
+    { mcp: [0, -1], segments: [0.5, 0.3, 0.24] },          // Middle
+    { mcp: [-0.25, -0.95], segments: [0.45, 0.28, 0.22] }, // Ring
+    { mcp: [-0.48, -0.85], segments: [0.35, 0.22, 0.2] }   // Pinky
+];
+const JOINT_BEND = [75, 100, 70].map(degrees => degrees * Math.PI / 180); // Fully curled
+
+// Finger curl per pose (index, middle, ring, pinky), 0 = straight, 1 = fist
+const POSE_CURLS = {
+    open: [0, 0, 0, 0],
+    fist: [1, 1, 1, 1],
+    pinch: [0.35, 0.5, 0.5, 0.5]
+};
+
+let script = DEFAULT_SCRIPT;
+let scriptDuration = 0;
+let scriptStart = 0;
+let isRunning = false;
+
+/**
+ * Load a script and start playing it
+ * @param {Object} options
+ * @param {string} options.scriptUrl - Optional JSON script location, defaults to DEFAULT_SCRIPT
+ * @returns {Promise<void>}
+ */
+export async function initSynthetic({ scriptUrl } = {}) {
+    if (scriptUrl) {
+        const response = await fetch(scriptUrl);
+        if (!response.ok) {
+            throw new Error(`Synthetic script not found: ${scriptUrl} (${response.status})`);
+        }
+        setSyntheticScript(await response.json());
+    } else {
+        setSyntheticScript(DEFAULT_SCRIPT);
+    }
+
+    isRunning = true;
+    console.log('[JARVIS] Synthetic tracking running:', script.length, 'steps');
+}
+
+/**
+ * Replace the running script and rewind it
+ * @param {Array<Object>} steps - Script steps
+ */
+export function setSyntheticScript(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('Synthetic script has no steps');
+    }
+
+    script = steps;
+    scriptDuration = steps.reduce((total, step) => total + (step.duration || 0), 0);
+    scriptStart = performance.now();
+}
+
+/**
+ * Push the scripted hands and face for the current time
+ * @param {number} now - Current time in ms
+ */
+export function updateSynthetic(now = performance.now()) {
+    if (!isRunning || scriptDuration <= 0) return;
+
+    const elapsed = (now - scriptStart) % scriptDuration;
+    let stepStart = 0;
+    const step = script.find(candidate => {
+        stepStart += candidate.duration || 0;
+        return elapsed < stepStart;
+    });
+    const seconds = elapsed / 1000;
+
+    const multiHandLandmarks = [];
+    const multiHandedness = [];
+    ['left', 'right'].forEach(side => {
+        if (!step[side]) return;
+
+        multiHandLandmarks.push(createHandLandmarks(side, step[side], seconds));
+        multiHandedness.push({
+            index: multiHandedness.length,
+            score: HANDEDNESS_SCORE,
+            label: side === 'left' ? 'Right' : 'Left' // Camera labels are unmirrored
+        });
+    });
+
+    pushHandResults({ multiHandLandmarks, multiHandedness });
+    pushFaceResults({
+        multiFaceLandmarks: step.face === false ? [] : [createFaceLandmarks(seconds)]
+    });
+}
+
+/**
+ * Check if a script is playing
+ * @returns {boolean}
+ */
+export function isSyntheticRunning() {
+    return isRunning;
+}
+
+/**
+ * Tracker provider for tracking.js
+ */
+export const syntheticTracker = {
+    label: 'Synthetic',
+    usesCamera: false,
+    init: ({ params }) => initSynthetic({ scriptUrl: params.get('script') }),
+    update: updateSynthetic,
+    isReady: isSyntheticRunning
+};
+
+/**
+ * Build 21 hand landmarks for a scripted hand
+ * @param {'left'|'right'} side - Which of the user's hands
+ * @param {Object} hand - Script hand {pose, x, y, size, motion}
+ * @param {number} seconds - Script time, drives motion
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+function createHandLandmarks(side, hand, seconds) {
+    const size = hand.size || DEFAULT_HAND_SIZE;
+    const curls = POSE_CURLS[hand.pose] || POSE_CURLS.open;
+    let x = hand.x ?? DEFAULT_POSITIONS[side].x;
+    const y = hand.y ?? DEFAULT_POSITIONS[side].y;
+
+    if (hand.motion === 'wave') {
+        x += WAVE_AMPLITUDE * Math.sin(2 * Math.PI * WAVE_FREQUENCY * seconds);
+    }
+
+    // Thumbs point toward the other hand
+    const thumbSide = side === 'left' ? -1 : 1;
+    const local = [[0, 0, 0]];
+
+    // Thumb: CMC, MCP, IP, tip
+    const thumbTip = hand.pose === 'fist' ? [-0.3, -0.45, -0.2] : [0.95, -0.95, 0];
+    local.push([0.35, -0.25, 0], [0.6, -0.5, 0], [0.8, -0.75, 0], thumbTip);
+
+    FINGERS.forEach((finger, f) => {
+        let point = [finger.mcp[0], finger.mcp[1], 0];
+        let angle = 0;
+        local.push(point);
+
+        finger.segments.forEach((length, j) => {
+            angle += JOINT_BEND[j] * curls[f];
+            point = [point[0], point[1] - length * Math.cos(angle), point[2] - length * Math.sin(angle)];
+            local.push(point);
+        });
+    });
+
+    if (hand.pose === 'pinch') {
+        // Thumb tip meets the index tip, opening by `gap` hand sizes
+        const gap = hand.motion === 'squeeze'
+            ? 0.25 + 0.2 * Math.sin(2 * Math.PI * SQUEEZE_FREQUENCY * seconds)
+            : 0.1;
+        const indexTip = local[8];
+        const tip = [indexTip[0] + gap, indexTip[1], indexTip[2]];
+        local[4] = tip;
+        local[3] = lerpPoint(local[1], tip, 0.7);
+        local[2] = lerpPoint(local[1], tip, 0.4);
+    }
+
+    // Center the palm on (x, y) and scale to image units
+    const palm = [0, 5, 9, 13, 17].reduce((sum, i) => [sum[0] + local[i][0] / 5, sum[1] + local[i][1] / 5], [0, 0]);
+
+    return local.map(([px, py, pz]) => ({
+        x: x + (px - palm[0]) * thumbSide * size,
+        y: y + (py - palm[1]) * size,
+        z: pz * size
+    }));
+}
+
+/**
+ * Build face landmarks with the points the HUD reads (nose tip and forehead)
+ * @param {number} seconds - Script time, drives a gentle sway
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+function createFaceLandmarks(seconds) {
+    const x = 0.5 + 0.02 * Math.sin(seconds * 0.7);
+    const y = 0.35 + 0.01 * Math.sin(seconds * 0.5);
+
+    const landmarks = Array.from({ length: FACE_LANDMARK_COUNT }, () => ({ x, y, z: 0 }));
+    landmarks[1] = { x, y: y + 0.05, z: -0.05 }; // Nose tip
+    landmarks[10] = { x, y: y - 0.1, z: 0 };     // Forehead
+    return landmarks;
+}
+
+/**
+ * Linear interpolation between two [x, y, z] points
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @param {number} t - 0 to 1
+ * @returns {Array<number>}
+ */
+function lerpPoint(a, b, t) {
+    return a.map((value, i) => value + (b[i] - value) * t);
+}
@@ -0,0 +1,51 @@
+/**
+ * JARVIS AR - Tracking Worker
+ * Runs the face and hand landmarkers off the main thread
+ *
+ * Messages in:
+ *   { type: 'init', options }                  - options for createLandmarkers
+ *   { type: 'frame', bitmap, timestamp, plan } - ImageBitmap (transferred) and trackers to run
+ * Messages out:
+ *   { type: 'progress', stage, loaded, total }  - model download bytes
+ *   { type: 'ready' }
+ *   { type: 'results', faceResults, handResults, timestamp, inferenceTime }
+ *   { type: 'error', message, stage: 'init'|'frame' }
+ */
+
+import { createLandmarkers, detectLandmarks } from './landmarkers.js';
+
+let landmarkers = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        try {
+            landmarkers = await createLandmarkers({
+                ...message.options,
+                offscreen: true,
+                onProgress: (stage, loaded, total) => self.postMessage({ type: 'progress', stage, loaded, total })
+            });
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', stage: 'init', message: String(error && error.message || error) });
+        }
+        return;
+    }
+
+    if (message.type === 'frame') {
+        const { bitmap, timestamp, plan } = message;
+
+        try {
+            if (!landmarkers) throw new Error('Landmarkers not initialized');
+
+            const results = detectLandmarks(landmarkers, bitmap, timestamp, plan);
+            // Report the frame's capture time, not the bumped inference time
+            self.postMessage({ type: 'results', ...results, timestamp });
+        } catch (error) {
+            self.postMessage({ type: 'error', stage: 'frame', message: String(error && error.message || error) });
+        } finally {
+            bitmap.close();
+        }
+    }
+};
@@ -0,0 +1,147 @@
+/**
+ * JARVIS AR - Tracking Module
+ * Registry of tracker providers and the tracking API used by main.js
+ *
+ * A provider feeds hand and face results into the shared result store in
+ * mediapipe.js through pushHandResults/pushFaceResults:
+ *   {
+ *     label: 'MediaPipe',
+ *     usesCamera: true,      // main starts the webcam before init
+ *     startupStages: [...],  // optional progress.js stages init reports through onProgress
+ *     init({videoElement, params, onProgress, signal}) -> Promise,  // stop and clean up when signal aborts
+ *     update(now),           // once per animation frame
+ *     clock(now) -> number,  // optional time of the latest results, for providers replaying recorded time
+ *     isReady() -> boolean
+ *   }
+ *
+ * Choose the provider with ?tracker=mediapipe|playback|synthetic.
+ * ?playback=<url> alone selects the playback provider.
+ */
+
+import { mediaPipeTracker } from './mediapipe.js';
+import { playbackTracker } from './playback.js';
+import { syntheticTracker } from './synthetic.js';
+
+export { getHand, getHands, getFacePosition, getForeheadPosition } from './mediapipe.js';
+
+const DEFAULT_TRACKER = 'mediapipe';
+
+// Registered providers keyed by name
+const trackers = new Map([
+    ['mediapipe', mediaPipeTracker],
+    ['playback', playbackTracker],
+    ['synthetic', syntheticTracker]
+]);
+
+let activeName = null;
+let activeTracker = null;
+
+/**
+ * Register a tracker provider
+ * @param {string} name - Identifier used by ?tracker=
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export function registerTracker(name, provider) {
+    trackers.set(name, provider);
+}
+
+/**
+ * Get registered providers for display
+ * @returns {Array<{name: string, label: string}>}
+ */
+export function getTrackers() {
+    return [...trackers.entries()].map(([name, provider]) => ({ name, label: provider.label || name }));
+}
+
+/**
+ * Pick the tracker provider from the page URL
+ * @returns {{name: string, params: URLSearchParams}}
+ */
+export function getTrackingConfig() {
+    const params = new URLSearchParams(window.location.search);
+    let name = params.get('tracker') || (params.get('playback') ? 'playback' : DEFAULT_TRACKER);
+
+    if (!trackers.has(name)) {
+        console.warn(`[JARVIS] Unknown tracker "${name}", using ${DEFAULT_TRACKER}`);
+        name = DEFAULT_TRACKER;
+    }
+
+    return { name, params };
+}
+
+/**
+ * Check if a provider needs the webcam
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function trackerUsesCamera(name) {
+    const provider = trackers.get(name);
+    return !!(provider && provider.usesCamera);
+}
+
+/**
+ * Get the startup stages a provider's init goes through
+ * @param {string} name - Registered tracker name
+ * @returns {string[]} Keys of STARTUP_STAGES in progress.js
+ */
+export function getTrackerStages(name) {
+    const provider = trackers.get(name);
+    return (provider && provider.startupStages) || ['tracker'];
+}
+
+/**
+ * Initialize and activate a tracker provider
+ * @param {{name: string, params: URLSearchParams}} config - From getTrackingConfig
+ * @param {HTMLVideoElement|null} videoElement - Webcam for providers that use it
+ * @param {Function} onProgress - Called as (stage, loadedBytes, totalBytes) by providers with startupStages
+ * @param {AbortSignal} signal - Aborted when startup gives up on this attempt
+ * @returns {Promise<void>}
+ */
+export async function initTracking(config, videoElement = null, onProgress = null, signal = null) {
+    const provider = trackers.get(config.name);
+
+    if (!provider) {
+        throw new Error(`Tracker not registered: ${config.name}`);
+    }
+
+    await provider.init({ videoElement, params: config.params, onProgress, signal });
+    activeName = config.name;
+    activeTracker = provider;
+    console.log('[JARVIS] Tracking with', provider.label || config.name);
+}
+
+/**
+ * Let the active provider produce results for this frame
+ * @param {number} now - Current time in ms
+ */
+export function updateTracking(now = performance.now()) {
+    if (activeTracker) {
+        activeTracker.update(now);
+    }
+}
+
+/**
+ * Get the time the current tracking results belong to
+ * Live providers report the current time; recorded ones their playback time
+ * @param {number} now - Current time in ms
+ * @returns {number} Time in ms
+ */
+export function getTrackingTime(now = performance.now()) {
+    return activeTracker && activeTracker.clock ? activeTracker.clock(now) : now;
+}
+
+/**
+ * Check if the active provider is producing results
+ * @returns {boolean}
+ */
+export function isTrackingReady() {
+    return !!activeTracker && activeTracker.isReady();
+}
+
+/**
+ * Get the active provider's name
+ * @returns {string|null}
+ */
+export function getActiveTracker() {
+    return activeName;
+}
@@ -0,0 +1,131 @@
+/**
+ * JARVIS AR - Service Worker
+ * Precaches the app and its tracking assets so it runs with no network
+ *
+ * Registered by main.js as sw.js?assets=<mode>, so switching asset modes
+ * installs a worker that precaches the other set (see js/asset-manifest.js).
+ * App files are network-first, so edits show up whenever the server is
+ * reachable; three.js, the MediaPipe runtime and the models are versioned
+ * and served cache-first.
+ */
+
+importScripts('js/asset-manifest.js');
+
+const CACHE_NAME = `jarvis-${self.JARVIS_ASSETS.mode}-v1`;
+
+const APP_FILES = [
+    './',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'assets/earth_texture.png',
+    'assets/icon.svg',
+    'js/asset-manifest.js',
+    'js/errors.js',
+    'js/camera.js',
+    'js/filters.js',
+    'js/identity.js',
+    'js/landmarkers.js',
+    'js/scheduler.js',
+    'js/mediapipe.js',
+    'js/tracking-worker.js',
+    'js/playback.js',
+    'js/synthetic.js',
+    'js/tracking.js',
+    'js/recorder.js',
+    'js/gestures.js',
+    'js/settings.js',
+    'js/bindings.js',
+    'js/calibration.js',
+    'js/hud.js',
+    'js/progress.js',
+    'js/lifecycle.js',
+    'js/earth.js',
+    'js/picking.js',
+    'js/main.js'
+].map(path => new URL(path, self.location.href).href);
+
+const ASSET_FILES = self.JARVIS_ASSETS.files;
+const PRECACHED = new Set([...APP_FILES, ...ASSET_FILES]);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+
+        // A missing asset (e.g. vendor/ not filled) should not block the app shell
+        const results = await Promise.allSettled(
+            ASSET_FILES.map(url => cache.add(new Request(url, { mode: 'cors' })))
+        );
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.warn('[JARVIS] Could not precache', ASSET_FILES[index], result.reason);
+            }
+        });
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('jarvis-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Query strings select trackers and sources; the files are the same
+    const url = new URL(request.url);
+    let key = url.origin + url.pathname;
+    if (key === new URL('index.html', self.location.href).href) {
+        key = new URL('./', self.location.href).href;
+    }
+
+    if (ASSET_FILES.includes(key)) {
+        event.respondWith(cacheFirst(request, key));
+    } else if (PRECACHED.has(key)) {
+        event.respondWith(networkFirst(request, key));
+    }
+});
+
+/**
+ * Serve from the cache, fetching and caching on a miss
+ * @param {Request} request
+ * @param {string} key - Cache key
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, key) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+}
+
+/**
+ * Fetch and refresh the cache, falling back to it when offline
+ * @param {Request} request
+ * @param {string} key - Cache key
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, key) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
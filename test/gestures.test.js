@@ -0,0 +1,455 @@
+/**
+ * JARVIS AR - Gesture Detection Tests
+ * Drives the gestures.js classifiers with synthetic hand poses and recorded frames
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    getHandScale,
+    detectPinch,
+    detectWave,
+    isGrasping,
+    isOpenHand,
+    detectGrasp,
+    detectSpread,
+    detectConverge,
+    getGestureState,
+    getGestureName,
+    recognizeGestures,
+    resetGestureRecognizer,
+    resetGestureHistory,
+    setGestureClock,
+    setGestureThresholds
+} from '../js/gestures.js';
+
+// Hand poses are laid out in hand-local units, where the wrist is the origin,
+// the middle finger MCP is one unit above it and y grows downward as in image
+// space. makeHand places them in the frame at any position and size.
+
+const WRIST = { x: 0, y: 0 };
+const THUMB = [{ x: -0.2, y: -0.2 }, { x: -0.4, y: -0.35 }, { x: -0.55, y: -0.5 }, { x: -0.7, y: -0.6 }];
+const FINGER_MCPS = {
+    index: { x: -0.3, y: -0.9 },
+    middle: { x: 0, y: -1 },
+    ring: { x: 0.25, y: -0.95 },
+    pinky: { x: 0.5, y: -0.8 }
+};
+const FINGER_ORDER = ['index', 'middle', 'ring', 'pinky'];
+
+// PIP, DIP and tip distances from the MCP along the wrist-to-MCP direction
+const FINGER_POSES = {
+    extended: [0.35, 0.6, 0.8],   // Tip well past the PIP: open
+    curled: [0.3, 0.1, -0.25],    // Tip folded back toward the wrist: fist
+    relaxed: [0.35, 0.45, 0.3]    // Neither curled nor extended
+};
+
+/**
+ * Build 21 hand landmarks
+ * @param {Object} pose
+ * @param {string} [pose.fingers] - Pose for every finger, a key of FINGER_POSES
+ * @param {Object} [pose.each] - Per-finger poses overriding fingers
+ * @param {number} [pose.pinch] - Thumb tip distance from the index tip, in hand scales
+ * @param {number} [pose.x] - Wrist x in normalized image units
+ * @param {number} [pose.y] - Wrist y in normalized image units
+ * @param {number} [pose.scale] - Wrist to middle MCP distance in normalized image units
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+function makeHand({ fingers = 'relaxed', each = {}, pinch = null, x = 0.5, y = 0.8, scale = 0.2 } = {}) {
+    const local = [WRIST, ...THUMB];
+
+    FINGER_ORDER.forEach(finger => {
+        const mcp = FINGER_MCPS[finger];
+        const length = Math.hypot(mcp.x, mcp.y);
+        const dir = { x: mcp.x / length, y: mcp.y / length };
+        const joints = FINGER_POSES[each[finger] || fingers];
+
+        local.push(mcp);
+        joints.forEach(offset => {
+            local.push({ x: mcp.x + dir.x * offset, y: mcp.y + dir.y * offset });
+        });
+    });
+
+    // Bring the thumb tip beside the index tip
+    if (pinch !== null) {
+        local[4] = { x: local[8].x + pinch, y: local[8].y };
+    }
+
+    return local.map(point => ({ x: x + point.x * scale, y: y + point.y * scale, z: 0 }));
+}
+
+// Recorded MediaPipe landmarks in the recorder's format, see the file's source field
+const RECORDED_OPEN_HANDS = JSON.parse(
+    readFileSync(new URL('./fixtures/hands-open.json', import.meta.url), 'utf8')
+).frames[0].multiHandLandmarks;
+
+const OPEN = { fingers: 'extended' };
+const FIST = { fingers: 'curled' };
+const PINCH = { each: { index: 'extended' }, pinch: 0.1 };
+
+let clock = 0;
+
+/**
+ * Run one recognizer frame at a time in ms, keeping the wave clock in step
+ * @param {number} t - Frame time in ms
+ * @param {Array|null} left - Left hand landmarks
+ * @param {Array|null} right - Right hand landmarks
+ */
+function frameAt(t, left, right = null) {
+    clock = t;
+    return recognizeGestures(left, right, {}, t);
+}
+
+/**
+ * Lifecycle phases of one gesture in a frame's events
+ * @param {{events: Array}} frame - recognizeGestures result
+ * @param {string} gesture - Gesture name
+ * @returns {Array<string>}
+ */
+function phasesOf(frame, gesture) {
+    return frame.events.filter(event => event.gesture === gesture).map(event => event.phase);
+}
+
+beforeEach(() => {
+    clock = 0;
+    setGestureClock(() => clock);
+    setGestureThresholds(null);
+    resetGestureHistory();
+    resetGestureRecognizer();
+});
+
+afterEach(() => {
+    setGestureClock(null);
+});
+
+describe('fixtures', () => {
+    test('hand scale is the wrist to middle MCP distance', () => {
+        assert.ok(Math.abs(getHandScale(makeHand({ scale: 0.2 })) - 0.2) < 1e-9);
+        assert.ok(Math.abs(getHandScale(makeHand({ scale: 0.05 })) - 0.05) < 1e-9);
+    });
+});
+
+describe('recorded hands', () => {
+    test('classifies both open hands, one of them upside down', () => {
+        RECORDED_OPEN_HANDS.forEach(hand => {
+            assert.ok(getHandScale(hand) > 0);
+            assert.equal(isOpenHand(hand), true);
+            assert.equal(isGrasping(hand), false);
+            assert.equal(detectPinch(hand).isPinching, false);
+        });
+    });
+
+    test('names each hand and the pair', () => {
+        const [first, second] = RECORDED_OPEN_HANDS;
+
+        assert.equal(getGestureName(getGestureState(first, null)), 'OPEN - DISPERSE');
+        assert.equal(getGestureName(getGestureState(null, second)), 'OPEN - DISPERSE');
+
+        const both = getGestureState(first, second);
+        assert.equal(both.bothHands.detected, true);
+        assert.equal(both.bothHands.grasping, false);
+    });
+
+    test('holding the recorded frame starts an open gesture', () => {
+        const hand = RECORDED_OPEN_HANDS[0];
+        const phases = [];
+
+        for (let t = 0; t <= 500; t += 33) {
+            phases.push(...phasesOf(frameAt(t, hand), 'open'));
+        }
+
+        assert.deepEqual(phases.slice(0, 2), ['start', 'update']);
+        assert.equal(phases.includes('end'), false);
+    });
+});
+
+describe('detectPinch', () => {
+    test('pinches below 0.5 hand scales', () => {
+        const result = detectPinch(makeHand({ ...PINCH, pinch: 0.45 }));
+        assert.equal(result.isPinching, true);
+        assert.ok(Math.abs(result.distance - 0.45) < 1e-9);
+    });
+
+    test('does not pinch above 0.5 hand scales', () => {
+        assert.equal(detectPinch(makeHand({ ...PINCH, pinch: 0.55 })).isPinching, false);
+        assert.equal(detectPinch(makeHand(OPEN)).isPinching, false);
+    });
+
+    test('holds at any camera distance', () => {
+        const near = detectPinch(makeHand({ ...PINCH, pinch: 0.4, scale: 0.3 }));
+        const far = detectPinch(makeHand({ ...PINCH, pinch: 0.4, scale: 0.05 }));
+        assert.equal(near.isPinching, true);
+        assert.equal(far.isPinching, true);
+        assert.ok(Math.abs(near.distance - far.distance) < 1e-9);
+        assert.ok(near.rawDistance > far.rawDistance);
+    });
+});
+
+describe('detectWave', () => {
+    /**
+     * Move a hand sideways at a steady speed, one sample every 50 ms
+     * @param {number} velocity - Hand scales per second, negative moves left
+     * @param {number} samples - Number of samples
+     * @returns {Object} Last detectWave result
+     */
+    function sweep(velocity, samples = 5, scale = 0.2) {
+        let result = null;
+        for (let i = 0; i < samples; i++) {
+            clock = i * 50;
+            result = detectWave(makeHand({ x: 0.5 + velocity * scale * clock / 1000, scale }), 'right');
+        }
+        return result;
+    }
+
+    test('waves above 0.17 hand scales per second', () => {
+        const result = sweep(0.2);
+        assert.equal(result.isWaving, true);
+        assert.ok(Math.abs(result.velocity - 0.2) < 1e-9);
+        assert.equal(result.direction, 1);
+    });
+
+    test('does not wave below 0.17 hand scales per second', () => {
+        assert.equal(sweep(0.15).isWaving, false);
+    });
+
+    test('reports direction and ignores depth', () => {
+        const near = sweep(-0.5, 5, 0.3);
+        resetGestureHistory();
+        const far = sweep(-0.5, 5, 0.05);
+        assert.equal(near.direction, -1);
+        assert.ok(Math.abs(near.velocity - far.velocity) < 1e-9);
+    });
+
+    test('needs two samples spread over time', () => {
+        clock = 0;
+        assert.equal(detectWave(makeHand(), 'left').isWaving, false);
+        assert.equal(detectWave(makeHand({ x: 0.9 }), 'left').isWaving, false);
+    });
+
+    test('keeps each hand\'s history apart and resets it', () => {
+        sweep(1);
+        clock = 300;
+        assert.equal(detectWave(makeHand(), 'left').velocity, 0);
+
+        resetGestureHistory('right');
+        assert.equal(detectWave(makeHand({ x: 0.9 }), 'right').velocity, 0);
+    });
+});
+
+describe('isGrasping and isOpenHand', () => {
+    test('classify fist, open and relaxed hands', () => {
+        assert.equal(isGrasping(makeHand(FIST)), true);
+        assert.equal(isOpenHand(makeHand(FIST)), false);
+
+        assert.equal(isOpenHand(makeHand(OPEN)), true);
+        assert.equal(isGrasping(makeHand(OPEN)), false);
+
+        assert.equal(isGrasping(makeHand()), false);
+        assert.equal(isOpenHand(makeHand()), false);
+    });
+
+    test('need at least three fingers', () => {
+        const two = { fingers: 'relaxed', each: { index: 'curled', middle: 'curled' } };
+        const three = { fingers: 'relaxed', each: { index: 'extended', middle: 'extended', ring: 'extended' } };
+        assert.equal(isGrasping(makeHand(two)), false);
+        assert.equal(isOpenHand(makeHand(three)), true);
+    });
+});
+
+describe('two-hand classifiers', () => {
+    test('detectGrasp needs both fists in the same place', () => {
+        assert.equal(detectGrasp(makeHand(FIST), makeHand({ ...FIST, x: 0.55 })), true);
+        assert.equal(detectGrasp(makeHand(FIST), makeHand({ ...FIST, x: 0.8 })), false);
+        assert.equal(detectGrasp(makeHand(FIST), makeHand({ ...OPEN, x: 0.55 })), false);
+    });
+
+    test('detectSpread needs hands moving apart beyond the spread distance', () => {
+        const left = makeHand({ x: 0.2 });
+        const right = makeHand({ x: 0.6 });
+
+        assert.equal(detectSpread(left, right, 0.35).isSpreading, true);
+        assert.equal(detectSpread(left, right, 0.39).isSpreading, false);
+        assert.equal(detectSpread(makeHand({ x: 0.4 }), makeHand({ x: 0.6 }), 0.1).isSpreading, false);
+        assert.equal(detectSpread(left, right, null).isSpreading, false);
+    });
+
+    test('detectConverge needs hands moving together within the converge distance', () => {
+        const left = makeHand({ x: 0.4 });
+        const right = makeHand({ x: 0.5 });
+
+        assert.equal(detectConverge(left, right, 0.2).isConverging, true);
+        assert.equal(detectConverge(left, right, 0.11).isConverging, false);
+        assert.equal(detectConverge(makeHand({ x: 0.2 }), right, 0.4).isConverging, false);
+    });
+});
+
+describe('missing and partial hands', () => {
+    const partial = makeHand(FIST).slice(0, 20);
+
+    test('classifiers treat them as no gesture', () => {
+        [null, undefined, [], partial].forEach(hand => {
+            assert.equal(getHandScale(hand), 0);
+            assert.equal(detectPinch(hand).isPinching, false);
+            assert.equal(detectWave(hand, 'left').isWaving, false);
+            assert.equal(isGrasping(hand), false);
+            assert.equal(isOpenHand(hand), false);
+        });
+    });
+
+    test('two-hand classifiers need both hands', () => {
+        assert.equal(detectGrasp(makeHand(FIST), null), false);
+        assert.equal(detectSpread(null, makeHand(), 0.1).isSpreading, false);
+        assert.equal(detectConverge(makeHand(), null, 0.5).isConverging, false);
+    });
+
+    test('state and name without hands', () => {
+        const state = getGestureState(null, null);
+        assert.equal(state.left.detected, false);
+        assert.equal(state.bothHands.detected, false);
+        assert.equal(getGestureName(state), 'AWAITING INPUT');
+    });
+});
+
+describe('getGestureName', () => {
+    /**
+     * Name the raw state of a pair of poses
+     * @param {Object|null} left - makeHand pose for the left hand
+     * @param {Object|null} right - makeHand pose for the right hand
+     */
+    function nameOf(left, right = null) {
+        return getGestureName(getGestureState(
+            left && makeHand({ x: 0.3, ...left }),
+            right && makeHand({ x: 0.7, ...right })
+        ));
+    }
+
+    test('names each single-hand pose', () => {
+        assert.equal(nameOf(FIST), 'FIST - CONVERGE');
+        assert.equal(nameOf(OPEN), 'OPEN - DISPERSE');
+        assert.equal(nameOf(PINCH), 'PINCH - ZOOM');
+        assert.equal(nameOf({}), 'HAND DETECTED');
+    });
+
+    test('ranks clasp, fist, open, two hands, pinch, wave', () => {
+        assert.equal(nameOf(FIST, { ...FIST, x: 0.32 }), 'CLASPED - MERGE');
+        assert.equal(nameOf(FIST, OPEN), 'FIST - CONVERGE');
+        assert.equal(nameOf({}, OPEN), 'OPEN - DISPERSE');
+        assert.equal(nameOf({ ...OPEN, pinch: 0.1 }), 'OPEN - DISPERSE');
+        assert.equal(nameOf(PINCH, {}), 'DUAL EARTH MODE');
+
+        const waving = getGestureState(null, null);
+        waving.right = { ...waving.right, detected: true, wave: { isWaving: true } };
+        assert.equal(getGestureName(waving), 'WAVE - ROTATE');
+
+        waving.left = { ...waving.left, detected: true, pinch: { isPinching: true } };
+        assert.equal(getGestureName(waving), 'PINCH - ZOOM');
+    });
+
+    test('uses the given two-hands name', () => {
+        assert.equal(getGestureName(getGestureState(makeHand(), makeHand({ x: 0.8 })), 'GRAB'), 'GRAB');
+    });
+
+    test('labels gestures with their bound actions', () => {
+        const state = getGestureState(makeHand({ x: 0.3, ...FIST }), null);
+        const labels = { fist: 'SPIN', open: 'DISPERSE', pinch: 'ZOOM', wave: 'ROTATE', clasp: null };
+
+        assert.equal(getGestureName(state, 'DUAL EARTH MODE', labels), 'FIST - SPIN');
+        assert.equal(getGestureName(state, 'DUAL EARTH MODE', { ...labels, fist: null }), 'FIST');
+    });
+});
+
+describe('recognizeGestures', () => {
+    test('starts a pinch only after its hold time', () => {
+        const hand = makeHand(PINCH);
+
+        assert.deepEqual(phasesOf(frameAt(0, hand), 'pinch'), []);
+        assert.deepEqual(phasesOf(frameAt(30, hand), 'pinch'), []);
+
+        const started = frameAt(60, hand);
+        assert.deepEqual(phasesOf(started, 'pinch'), ['start']);
+        assert.equal(started.state.left.pinch.isPinching, true);
+    });
+
+    test('ignores a flicker shorter than the hold time', () => {
+        frameAt(0, makeHand(PINCH));
+        frameAt(30, makeHand());
+        assert.deepEqual(phasesOf(frameAt(70, makeHand(PINCH)), 'pinch'), []);
+    });
+
+    test('keeps a pinch between the enter and exit thresholds', () => {
+        frameAt(0, makeHand(PINCH));
+        frameAt(60, makeHand(PINCH));
+
+        // 0.6 would not start a pinch, but does not end one either
+        const held = frameAt(200, makeHand({ ...PINCH, pinch: 0.6 }));
+        assert.deepEqual(phasesOf(held, 'pinch'), ['update']);
+        assert.equal(held.state.left.pinch.isPinching, true);
+        assert.deepEqual(phasesOf(frameAt(400, makeHand({ ...PINCH, pinch: 0.6 })), 'pinch'), ['update']);
+    });
+
+    test('ends a pinch only after its release time', () => {
+        frameAt(0, makeHand(PINCH));
+        frameAt(60, makeHand(PINCH));
+
+        const releasing = frameAt(100, makeHand({ ...PINCH, pinch: 0.7 }));
+        assert.deepEqual(phasesOf(releasing, 'pinch'), ['update']);
+        assert.equal(releasing.state.left.pinch.isPinching, true);
+
+        const ended = frameAt(200, makeHand({ ...PINCH, pinch: 0.7 }));
+        assert.deepEqual(phasesOf(ended, 'pinch'), ['end']);
+        assert.equal(ended.events[0].duration, 140);
+        assert.equal(ended.state.left.pinch.isPinching, false);
+    });
+
+    test('re-engaging during release keeps the gesture alive', () => {
+        frameAt(0, makeHand(PINCH));
+        frameAt(60, makeHand(PINCH));
+        frameAt(100, makeHand());
+        assert.deepEqual(phasesOf(frameAt(150, makeHand(PINCH)), 'pinch'), ['update']);
+        assert.deepEqual(phasesOf(frameAt(260, makeHand(PINCH)), 'pinch'), ['update']);
+    });
+
+    test('fist and open hand exclude each other', () => {
+        frameAt(0, makeHand(FIST));
+        assert.deepEqual(phasesOf(frameAt(120, makeHand(FIST)), 'fist'), ['start']);
+
+        // Opening starts only after the fist has been released
+        assert.deepEqual(phasesOf(frameAt(200, makeHand(OPEN)), 'open'), []);
+        const released = frameAt(350, makeHand(OPEN));
+        assert.deepEqual(phasesOf(released, 'fist'), ['end']);
+        assert.deepEqual(phasesOf(released, 'open'), []);
+
+        frameAt(400, makeHand(OPEN));
+        assert.deepEqual(phasesOf(frameAt(520, makeHand(OPEN)), 'open'), ['start']);
+    });
+
+    test('clasps two fists held together', () => {
+        const left = makeHand({ ...FIST, x: 0.5 });
+        const right = makeHand({ ...FIST, x: 0.55 });
+
+        frameAt(0, left, right);
+        const clasped = frameAt(200, left, right);
+        assert.deepEqual(phasesOf(clasped, 'clasp'), ['start']);
+        assert.equal(clasped.events.find(event => event.gesture === 'clasp').hand, 'both');
+        assert.equal(clasped.state.bothHands.grasping, true);
+    });
+
+    test('starts a wave with no hold and ends it after its release time', () => {
+        let frame = null;
+        for (let t = 0; t <= 200; t += 50) {
+            frame = frameAt(t, null, makeHand({ x: 0.5 + t / 1000 }));
+        }
+        assert.equal(frame.state.right.wave.isWaving, true);
+
+        frameAt(250, null, makeHand({ x: 0.7 }));
+        frameAt(300, null, makeHand({ x: 0.7 }));
+        frameAt(350, null, makeHand({ x: 0.7 }));
+        frameAt(400, null, makeHand({ x: 0.7 }));
+        assert.equal(frameAt(450, null, makeHand({ x: 0.7 })).state.right.wave.isWaving, true);
+
+        const ended = frameAt(650, null, makeHand({ x: 0.7 }));
+        assert.deepEqual(phasesOf(ended, 'wave'), ['end']);
+    });
+});
@@ -0,0 +1,37 @@
+#!/bin/sh
+# JARVIS AR - Vendor Assets
+# Downloads three.js, the MediaPipe Tasks Vision runtime and the tracking
+# models into vendor/, for ?assets=vendor (see js/asset-manifest.js).
+# Keep the versions in step with asset-manifest.js.
+#
+# Usage: tools/vendor-assets.sh   (from anywhere; writes next to index.html)
+
+set -eu
+
+THREE_VERSION=0.160.0
+TASKS_VISION_VERSION=0.10.14
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+VENDOR="$ROOT/vendor"
+TASKS="https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@$TASKS_VISION_VERSION"
+MODELS="https://storage.googleapis.com/mediapipe-models"
+
+fetch() {
+    mkdir -p "$(dirname "$VENDOR/$2")"
+    echo "[JARVIS] $2"
+    curl -fsSL --retry 3 -o "$VENDOR/$2" "$1"
+}
+
+fetch "https://unpkg.com/three@$THREE_VERSION/build/three.module.js" three/three.module.js
+
+fetch "$TASKS/vision_bundle.mjs" tasks-vision/vision_bundle.mjs
+for file in vision_wasm_internal.js vision_wasm_internal.wasm \
+    vision_wasm_nosimd_internal.js vision_wasm_nosimd_internal.wasm; do
+    fetch "$TASKS/wasm/$file" "tasks-vision/wasm/$file"
+done
+
+fetch "$MODELS/face_landmarker/face_landmarker/float16/1/face_landmarker.task" models/face_landmarker.task
+fetch "$MODELS/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task" models/hand_landmarker.task
+fetch "$MODELS/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task" models/gesture_recognizer.task
+
+echo "[JARVIS] Vendored assets ready; open the app with ?assets=vendor"